@@ -0,0 +1,11 @@
+// Artforms and art categories an artist can practise. Shared by artist
+// specializations, portfolio items, product artforms and user preferences.
+
+const ARTFORMS = ['warli', 'pithora', 'madhubani', 'tanjore', 'kalamkari', 'gond', 'other'];
+
+const ART_CATEGORIES = ['music', 'dance', 'painting', 'sculpture', 'crafts', 'textiles'];
+
+module.exports = {
+    ARTFORMS,
+    ART_CATEGORIES
+};
@@ -0,0 +1,36 @@
+// Notification event types and the channels each uses unless the user changes
+// them through PUT /api/notifications/preferences
+
+const NOTIFICATION_CHANNELS = ['inApp', 'email'];
+
+const NOTIFICATION_TYPES = {
+    booking_received: {
+        description: 'Someone books a session with you',
+        defaults: { inApp: true, email: true }
+    },
+    booking_confirmed: {
+        description: 'An artist confirms your booking',
+        defaults: { inApp: true, email: true }
+    },
+    session_status_changed: {
+        description: 'A booking you are part of is cancelled, rescheduled or completed',
+        defaults: { inApp: true, email: false }
+    },
+    rating_received: {
+        description: 'A session with you is rated',
+        defaults: { inApp: true, email: false }
+    },
+    verification_updated: {
+        description: 'Your artist verification is approved, rejected, needs more information or is revoked',
+        defaults: { inApp: true, email: true }
+    },
+    saved_search_matches: {
+        description: 'New products or artists match one of your saved searches',
+        defaults: { inApp: true, email: true }
+    }
+};
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    NOTIFICATION_TYPES
+};
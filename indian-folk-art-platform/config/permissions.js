@@ -0,0 +1,69 @@
+// Roles and the default permission matrix.
+// Admins can override a role's permissions at runtime through PUT /api/roles/:role
+// (stored on the SecurityPolicy document); these are the defaults otherwise.
+
+const ROLES = ['user', 'artist', 'admin', 'moderator', 'support', 'finance', 'cooperative_manager'];
+
+// Every permission the API checks, with a short description for the roles endpoint
+const PERMISSIONS = {
+    'user:read:any': 'View any user account',
+    'user:delete:any': 'Delete any user account',
+    'user:manage': 'Change roles and account status',
+    'user:impersonate': 'View the app as another user (read-only)',
+    'artist:update:any': 'Edit any artist profile',
+    'artist:verify': 'Review artist verification requests',
+    'artist:analytics:any': 'View any artist\'s earnings and analytics',
+    'product:create': 'List products for sale',
+    'product:update:any': 'Edit any product',
+    'product:delete:any': 'Delete any product',
+    'product:moderate': 'Review and hide product listings',
+    'session:read:any': 'View any booking',
+    'session:update:any': 'Change the status of any booking',
+    'session:refund': 'Refund bookings',
+    'security:manage': 'Manage security policy, roles and permissions',
+    'apikey:manage': 'Issue, rotate and revoke partner API keys',
+    'audit:read': 'Search and export the security audit log'
+};
+
+// Scopes a partner API key can be granted (see middleware/apiKey.js)
+const API_KEY_SCOPES = {
+    'artists:read': 'Read artist profiles and listings',
+    'products:read': 'Read the product catalog',
+    'sessions:write': 'Book sessions on behalf of the key\'s account'
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+    user: [],
+    artist: ['product:create'],
+    moderator: [
+        'user:read:any',
+        'artist:update:any',
+        'artist:verify',
+        'product:update:any',
+        'product:delete:any',
+        'product:moderate'
+    ],
+    support: [
+        'user:read:any',
+        'user:impersonate',
+        'session:read:any',
+        'session:update:any'
+    ],
+    finance: [
+        'session:read:any',
+        'session:refund'
+    ],
+    cooperative_manager: [
+        'product:create',
+        'session:read:any'
+    ],
+    // Wildcard: every permission
+    admin: ['*']
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    API_KEY_SCOPES,
+    DEFAULT_ROLE_PERMISSIONS
+};
@@ -0,0 +1,28 @@
+// Who may see each personal field on a profile, and the level used until the
+// user changes it through PUT /api/users/privacy. Levels go from widest to narrowest.
+
+const PRIVACY_LEVELS = ['public', 'logged_in', 'after_booking', 'private'];
+
+const PRIVACY_FIELDS = {
+    email: {
+        description: 'Email address',
+        default: 'after_booking'
+    },
+    phone: {
+        description: 'Phone number',
+        default: 'after_booking'
+    },
+    location: {
+        description: 'City and region; the state is always shown',
+        default: 'public'
+    },
+    coordinates: {
+        description: 'Map coordinates on your artist profile',
+        default: 'after_booking'
+    }
+};
+
+module.exports = {
+    PRIVACY_LEVELS,
+    PRIVACY_FIELDS
+};
@@ -0,0 +1,167 @@
+const User = require('../models/User');
+const Artist = require('../models/Artist');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const LoginAttempt = require('../models/LoginAttempt');
+const OtpCode = require('../models/OtpCode');
+const Follow = require('../models/Follow');
+const Collection = require('../models/Collection');
+const Notification = require('../models/Notification');
+const ItemView = require('../models/ItemView');
+const SavedSearch = require('../models/SavedSearch');
+const { revokeAllForUser } = require('../utils/authTokens');
+const { notify } = require('../utils/notifications');
+const { recordAudit } = require('../utils/audit');
+const { removeImage } = require('../utils/images');
+const { removeVerificationRequests } = require('../utils/verification');
+
+const graceDays = () => {
+    const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+    return isNaN(days) ? 30 : days;
+};
+
+// Tell the other participant that a booking was cancelled because an account closed
+const notifySessionCancelled = (session, recipient) => notify(recipient, 'session_status_changed', {
+    title: 'Booking cancelled',
+    message: `"${session.title}" on ${session.scheduledDate.toDateString()} has been cancelled because ` +
+        'the other participant closed their Kala Sanskriti account.' +
+        (session.paymentStatus === 'paid' ? ' Any payment you made will be refunded.' : ''),
+    data: { session: session._id, status: session.status }
+});
+
+// Cancel every upcoming booking the user is part of, as booker or as artist
+const cancelUpcomingSessions = async (user, artist) => {
+    const participants = [{ user: user._id }];
+    if (artist) {
+        participants.push({ artist: artist._id });
+    }
+
+    const sessions = await Session.find({
+        $or: participants,
+        scheduledDate: { $gt: new Date() },
+        status: { $in: Session.BOOKED_STATUSES }
+    })
+        .populate('user', 'name email')
+        .populate({ path: 'artist', populate: { path: 'user', select: 'name email' } });
+
+    for (const session of sessions) {
+        session.status = 'cancelled';
+        session.notes = session.notes || {};
+        session.notes.adminNotes = [session.notes.adminNotes, 'Cancelled automatically: account deleted']
+            .filter(Boolean)
+            .join('\n');
+        await session.save();
+
+        const bookedByUser = session.user && String(session.user._id) === String(user._id);
+        const otherParty = bookedByUser
+            ? session.artist && session.artist.user
+            : session.user;
+
+        await notifySessionCancelled(session, otherParty);
+    }
+
+    return sessions.length;
+};
+
+// Final step of account deletion. The user document is kept so bookings and
+// ratings still resolve, but everything identifying is removed from it.
+const finalizeAccountDeletion = async (user) => {
+    const artist = await Artist.findOne({ user: user._id });
+
+    if (artist) {
+        artist.isActive = false;
+        artist.followerCount = 0;
+        await artist.save({ validateBeforeSave: false });
+        // Sold-out listings too, which would otherwise still be shown and could be restocked
+        await Product.updateMany(
+            { seller: artist._id, status: { $in: ['active', 'sold_out'] } },
+            { status: 'inactive' }
+        );
+        // The profile is gone, so nobody follows it any more
+        await Follow.deleteMany({ artist: artist._id });
+    }
+
+    const cancelledSessions = await cancelUpcomingSessions(user, artist);
+
+    const follows = await Follow.find({ follower: user._id }).select('artist');
+    await Follow.deleteMany({ follower: user._id });
+    await Artist.updateMany(
+        { _id: { $in: follows.map(follow => follow.artist) }, followerCount: { $gt: 0 } },
+        { $inc: { followerCount: -1 } }
+    );
+
+    const identifiers = [user.email, user.phone].filter(Boolean);
+    await Promise.all([
+        revokeAllForUser(user._id, 'account_deleted'),
+        LoginEvent.deleteMany({ user: user._id }),
+        LoginAttempt.deleteMany({ identifier: { $in: identifiers.map(i => i.toLowerCase()) } }),
+        user.phone ? OtpCode.deleteMany({ phone: user.phone }) : null,
+        Collection.deleteMany({ owner: user._id }),
+        Notification.deleteMany({ user: user._id }),
+        ItemView.deleteMany({ user: user._id }),
+        SavedSearch.deleteMany({ user: user._id }),
+        removeVerificationRequests(user._id),
+        removeImage(user.profileImage, 'profiles')
+    ]);
+
+    // Ratings and reviews stay on the sessions; with the profile scrubbed they
+    // show as coming from a deleted user
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                name: 'Deleted user',
+                status: 'deleted',
+                profileImage: '',
+                isVerified: false,
+                phoneVerified: false,
+                'deletion.completedAt': new Date()
+            },
+            $unset: {
+                email: 1,
+                phone: 1,
+                password: 1,
+                location: 1,
+                preferences: 1,
+                twoFactor: 1,
+                verificationEmailSentAt: 1,
+                resetPasswordToken: 1,
+                resetPasswordExpire: 1
+            }
+        }
+    );
+
+    await recordAudit(null, {
+        action: 'user.deletion_completed',
+        actor: null,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: {
+            artistDeactivated: !!artist,
+            cancelledSessions
+        }
+    });
+};
+
+// Finish deleting accounts whose grace period is over
+const purgeDueAccounts = async () => {
+    const due = await User.find({
+        status: 'pending_deletion',
+        'deletion.scheduledFor': { $lte: new Date() }
+    });
+
+    for (const user of due) {
+        try {
+            await finalizeAccountDeletion(user);
+        } catch (error) {
+            console.error(`Account deletion error (${user._id}):`, error);
+        }
+    }
+};
+
+module.exports = {
+    graceDays,
+    finalizeAccountDeletion,
+    purgeDueAccounts
+};
@@ -0,0 +1,31 @@
+const User = require('../models/User');
+const { recordAudit } = require('../utils/audit');
+
+// Reactivate suspended or banned accounts whose restriction has run out.
+// protect already ignores expired restrictions; this keeps `status` accurate.
+const liftExpiredRestrictions = async () => {
+    const expired = await User.find({
+        status: { $in: ['suspended', 'banned'] },
+        'restriction.expiresAt': { $lte: new Date() }
+    });
+
+    for (const user of expired) {
+        const previous = user.status;
+        user.status = 'active';
+        user.restriction = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        await recordAudit(null, {
+            action: 'user.reinstated',
+            actor: null,
+            targetType: 'User',
+            targetId: user._id,
+            changes: [{ field: 'status', before: previous, after: 'active' }],
+            metadata: { reason: 'Restriction expired' }
+        });
+    }
+};
+
+module.exports = {
+    liftExpiredRestrictions
+};
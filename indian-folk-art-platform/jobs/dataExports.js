@@ -0,0 +1,333 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Artist = require('../models/Artist');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const RefreshToken = require('../models/RefreshToken');
+const DataExport = require('../models/DataExport');
+const Follow = require('../models/Follow');
+const Collection = require('../models/Collection');
+const Notification = require('../models/Notification');
+const ItemView = require('../models/ItemView');
+const SavedSearch = require('../models/SavedSearch');
+const VerificationRequest = require('../models/VerificationRequest');
+const { toCsv } = require('../utils/csv');
+const { sendEmail, escapeHtml } = require('../utils/sendEmail');
+
+// Archives live outside public/ and are only served through the download link
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, '..', 'exports');
+
+const exportPath = (fileName) => path.join(EXPORT_DIR, fileName);
+
+// Everything held about a user, as plain objects
+const collectUserData = async (userId) => {
+    const account = await User.findById(userId).lean();
+    const artist = await Artist.findOne({ user: userId }).lean();
+
+    const [products, bookings, artistSessions, loginHistory, devices, following, collections, notifications, browsingHistory, savedSearches, verificationRequests] = await Promise.all([
+        artist ? Product.find({ seller: artist._id }).lean() : [],
+        Session.find({ user: userId })
+            .populate({ path: 'artist', select: 'user', populate: { path: 'user', select: 'name' } })
+            .lean(),
+        artist ? Session.find({ artist: artist._id }).populate('user', 'name').lean() : [],
+        LoginEvent.find({ user: userId }).sort('-createdAt').lean(),
+        RefreshToken.find({ user: userId, revokedAt: null }).select('userAgent ip createdAt lastUsedAt').lean(),
+        Follow.find({ follower: userId })
+            .populate({ path: 'artist', select: 'user', populate: { path: 'user', select: 'name' } })
+            .lean(),
+        Collection.find({ owner: userId }).select('-shareToken').lean(),
+        Notification.find({ user: userId }).sort('-createdAt').lean(),
+        ItemView.find({ user: userId }).select('kind item count viewedAt').sort('-viewedAt').lean(),
+        SavedSearch.find({ user: userId }).select('-unsubscribeToken').lean(),
+        // The documents themselves stay private; the export lists what was sent
+        VerificationRequest.find({ user: userId }).select('-documents.url').sort('-createdAt').lean()
+    ]);
+
+    const ratings = [
+        ...bookings.filter(s => s.rating && s.rating.score).map(s => ({
+            direction: 'given',
+            session: s._id,
+            sessionTitle: s.title,
+            otherParty: s.artist && s.artist.user && s.artist.user.name,
+            score: s.rating.score,
+            review: s.rating.review,
+            ratedAt: s.rating.ratedAt
+        })),
+        ...artistSessions.filter(s => s.rating && s.rating.score).map(s => ({
+            direction: 'received',
+            session: s._id,
+            sessionTitle: s.title,
+            otherParty: s.user && s.user.name,
+            score: s.rating.score,
+            review: s.rating.review,
+            ratedAt: s.rating.ratedAt
+        }))
+    ];
+
+    return {
+        account,
+        artist,
+        products,
+        bookings,
+        artistSessions,
+        ratings,
+        loginHistory,
+        devices,
+        following: following.map(follow => ({
+            artist: follow.artist && follow.artist._id,
+            name: follow.artist && follow.artist.user && follow.artist.user.name,
+            followedAt: follow.createdAt
+        })),
+        collections,
+        notifications,
+        browsingHistory,
+        savedSearches,
+        verificationRequests
+    };
+};
+
+// Strip credentials and internal secrets; they are not personal data
+const sanitizeAccount = (account) => {
+    const {
+        password,
+        resetPasswordToken,
+        resetPasswordExpire,
+        ...rest
+    } = account;
+    const twoFactor = account.twoFactor || {};
+
+    return {
+        ...rest,
+        twoFactor: { enabled: !!twoFactor.enabled, enabledAt: twoFactor.enabledAt }
+    };
+};
+
+const sessionColumns = [
+    { header: 'Session ID', value: s => s._id },
+    { header: 'Title', value: s => s.title },
+    { header: 'Type', value: s => s.sessionType },
+    { header: 'Format', value: s => s.format },
+    { header: 'Scheduled', value: s => s.scheduledDate },
+    { header: 'Duration (min)', value: s => s.duration },
+    { header: 'Amount', value: s => s.pricing && s.pricing.amount },
+    { header: 'Currency', value: s => s.pricing && s.pricing.currency },
+    { header: 'Status', value: s => s.status },
+    { header: 'Payment Status', value: s => s.paymentStatus },
+    { header: 'Rating', value: s => s.rating && s.rating.score },
+    { header: 'Created', value: s => s.createdAt }
+];
+
+const buildFiles = (data) => {
+    const account = sanitizeAccount(data.account);
+    const portfolio = data.artist ? data.artist.portfolio || [] : [];
+
+    return [
+        {
+            name: 'README.txt',
+            content: `Kala Sanskriti personal data export for ${account.name}\n` +
+                `Generated ${new Date().toISOString()}\n\n` +
+                'json/ holds the complete records; csv/ has the same lists as spreadsheets.\n' +
+                'Passwords, two-factor secrets and reset tokens are never included.\n'
+        },
+        { name: 'json/account.json', content: JSON.stringify(account, null, 2) },
+        { name: 'json/artist-profile.json', content: JSON.stringify(data.artist, null, 2) },
+        { name: 'json/products.json', content: JSON.stringify(data.products, null, 2) },
+        { name: 'json/bookings.json', content: JSON.stringify(data.bookings, null, 2) },
+        { name: 'json/artist-sessions.json', content: JSON.stringify(data.artistSessions, null, 2) },
+        { name: 'json/ratings.json', content: JSON.stringify(data.ratings, null, 2) },
+        { name: 'json/login-history.json', content: JSON.stringify(data.loginHistory, null, 2) },
+        { name: 'json/devices.json', content: JSON.stringify(data.devices, null, 2) },
+        { name: 'json/following.json', content: JSON.stringify(data.following, null, 2) },
+        { name: 'json/collections.json', content: JSON.stringify(data.collections, null, 2) },
+        { name: 'json/notifications.json', content: JSON.stringify(data.notifications, null, 2) },
+        { name: 'json/browsing-history.json', content: JSON.stringify(data.browsingHistory, null, 2) },
+        { name: 'json/saved-searches.json', content: JSON.stringify(data.savedSearches, null, 2) },
+        { name: 'json/verification-requests.json', content: JSON.stringify(data.verificationRequests, null, 2) },
+        {
+            name: 'csv/account.csv',
+            content: toCsv([account], [
+                { header: 'Name', value: a => a.name },
+                { header: 'Email', value: a => a.email },
+                { header: 'Phone', value: a => a.phone },
+                { header: 'Role', value: a => a.role },
+                { header: 'State', value: a => a.location && a.location.state },
+                { header: 'City', value: a => a.location && a.location.city },
+                { header: 'Region', value: a => a.location && a.location.region },
+                { header: 'Preferred Artforms', value: a => (a.preferences && a.preferences.artforms || []).join('; ') },
+                { header: 'Interests', value: a => (a.preferences && a.preferences.interests || []).join('; ') },
+                { header: 'Joined', value: a => a.createdAt }
+            ])
+        },
+        {
+            name: 'csv/portfolio.csv',
+            content: toCsv(portfolio, [
+                { header: 'Title', value: p => p.title },
+                { header: 'Description', value: p => p.description },
+                { header: 'Artform', value: p => p.artform },
+                { header: 'Category', value: p => p.category },
+                { header: 'Visibility', value: p => p.visibility },
+                { header: 'Cover Image', value: p => p.coverImage },
+                { header: 'Images', value: p => (p.images || []).join(' ') },
+                { header: 'Created', value: p => p.createdAt }
+            ])
+        },
+        {
+            name: 'csv/products.csv',
+            content: toCsv(data.products, [
+                { header: 'Product ID', value: p => p._id },
+                { header: 'Title', value: p => p.title },
+                { header: 'Category', value: p => p.category },
+                { header: 'Artform', value: p => p.artform },
+                { header: 'Price', value: p => p.price && p.price.amount },
+                { header: 'Currency', value: p => p.price && p.price.currency },
+                { header: 'Quantity', value: p => p.inventory && p.inventory.quantity },
+                { header: 'Status', value: p => p.status },
+                { header: 'Views', value: p => p.views },
+                { header: 'Created', value: p => p.createdAt }
+            ])
+        },
+        { name: 'csv/bookings.csv', content: toCsv(data.bookings, sessionColumns) },
+        { name: 'csv/artist-sessions.csv', content: toCsv(data.artistSessions, sessionColumns) },
+        {
+            name: 'csv/ratings.csv',
+            content: toCsv(data.ratings, [
+                { header: 'Direction', value: r => r.direction },
+                { header: 'Session', value: r => r.sessionTitle },
+                { header: 'Other Party', value: r => r.otherParty },
+                { header: 'Score', value: r => r.score },
+                { header: 'Review', value: r => r.review },
+                { header: 'Rated', value: r => r.ratedAt }
+            ])
+        },
+        {
+            name: 'csv/login-history.csv',
+            content: toCsv(data.loginHistory, [
+                { header: 'Time', value: e => e.createdAt },
+                { header: 'Success', value: e => (e.success ? 'yes' : 'no') },
+                { header: 'Reason', value: e => e.reason },
+                { header: 'IP', value: e => e.ip },
+                { header: 'Device', value: e => e.userAgent },
+                { header: 'New Device', value: e => (e.newDevice ? 'yes' : 'no') }
+            ])
+        }
+    ];
+};
+
+const writeZip = (filePath, files) => {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(filePath, { mode: 0o600 });
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        output.on('close', () => resolve(archive.pointer()));
+        archive.on('error', reject);
+        output.on('error', reject);
+
+        archive.pipe(output);
+        files.forEach(file => archive.append(file.content, { name: file.name }));
+        archive.finalize();
+    });
+};
+
+const notifyExportReady = async (dataExport, user, downloadUrl) => {
+    if (!user.email) {
+        return;
+    }
+
+    // Only the person who asked gets the link; otherwise just let the user know
+    const ownRequest = String(dataExport.requestedBy) === String(user._id);
+    const expires = dataExport.expiresAt.toUTCString();
+    const linkText = ownRequest && downloadUrl
+        ? `Download it here before ${expires}:\n\n${downloadUrl}`
+        : ownRequest
+            ? `Use the download link you were given before ${expires}.`
+            : 'It was requested by our support team as part of a data access request.';
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Your Kala Sanskriti data export is ready',
+        text: `Namaste ${user.name},\n\nA copy of your Kala Sanskriti data has been prepared. ${linkText}`,
+        html: `<p>Namaste ${escapeHtml(user.name)},</p><p>A copy of your Kala Sanskriti data has been prepared.</p>` +
+            (ownRequest && downloadUrl
+                ? `<p><a href="${downloadUrl}">Download your data</a> (available until ${expires})</p>`
+                : `<p>${linkText}</p>`)
+    });
+};
+
+// Build the archive for an export. `downloadUrl` is only known to the process
+// that created the export and is used for the "ready" email.
+const processDataExport = async (exportId, { downloadUrl } = {}) => {
+    const dataExport = await DataExport.findOneAndUpdate(
+        { _id: exportId, status: 'pending' },
+        { status: 'processing' },
+        { new: true }
+    );
+    if (!dataExport) {
+        return;
+    }
+
+    try {
+        const data = await collectUserData(dataExport.user);
+        if (!data.account) {
+            throw new Error('User no longer exists');
+        }
+
+        await fsp.mkdir(EXPORT_DIR, { recursive: true, mode: 0o700 });
+        const fileName = `${dataExport._id}.zip`;
+        const fileSize = await writeZip(exportPath(fileName), buildFiles(data));
+
+        dataExport.status = 'ready';
+        dataExport.fileName = fileName;
+        dataExport.fileSize = fileSize;
+        dataExport.completedAt = Date.now();
+        await dataExport.save();
+
+        try {
+            await notifyExportReady(dataExport, data.account, downloadUrl);
+        } catch (emailError) {
+            console.error('Data export email error:', emailError);
+        }
+    } catch (error) {
+        console.error('Data export error:', error);
+        dataExport.status = 'failed';
+        dataExport.error = error.message;
+        await dataExport.save();
+    }
+};
+
+// Delete archives whose link has expired
+const cleanupExpiredExports = async () => {
+    const expired = await DataExport.find({
+        status: 'ready',
+        expiresAt: { $lte: new Date() }
+    }).select('+fileName');
+
+    for (const dataExport of expired) {
+        if (dataExport.fileName) {
+            await fsp.rm(exportPath(dataExport.fileName), { force: true });
+        }
+        dataExport.status = 'expired';
+        dataExport.fileName = undefined;
+        await dataExport.save();
+    }
+};
+
+// Pick up exports left unfinished by a restart
+const resumePendingExports = async () => {
+    await DataExport.updateMany({ status: 'processing' }, { status: 'pending' });
+    const pending = await DataExport.find({ status: 'pending' }).select('_id');
+
+    for (const dataExport of pending) {
+        await processDataExport(dataExport._id);
+    }
+};
+
+module.exports = {
+    exportPath,
+    processDataExport,
+    cleanupExpiredExports,
+    resumePendingExports
+};
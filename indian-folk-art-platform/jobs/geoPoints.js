@@ -0,0 +1,26 @@
+const Artist = require('../models/Artist');
+const Session = require('../models/Session');
+const { toPoint } = require('../utils/geo');
+
+// Give artists and sessions saved before the near-me search their GeoJSON point.
+// Saves keep it up to date from then on, so this only finds older records.
+const backfillGeoPoints = async () => {
+    for (const Model of [Artist, Session]) {
+        const docs = await Model.find({
+            'location.coordinates.latitude': { $ne: null },
+            'location.coordinates.longitude': { $ne: null },
+            'location.point': { $exists: false }
+        }).select('location.coordinates');
+
+        for (const doc of docs) {
+            const point = toPoint(doc.location.coordinates);
+            if (point) {
+                await Model.updateOne({ _id: doc._id }, { $set: { 'location.point': point } });
+            }
+        }
+    }
+};
+
+module.exports = {
+    backfillGeoPoints
+};
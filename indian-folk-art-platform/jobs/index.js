@@ -0,0 +1,29 @@
+const { cleanupExpiredExports, resumePendingExports } = require('./dataExports');
+const { purgeDueAccounts } = require('./accountDeletion');
+const { liftExpiredRestrictions } = require('./accountRestrictions');
+const { sendSavedSearchAlerts } = require('./savedSearchAlerts');
+const { backfillGeoPoints } = require('./geoPoints');
+const { migrateUserIndexes } = require('./userIndexes');
+
+const HOUR = 60 * 60 * 1000;
+
+// Run a job now and then every `interval` ms, logging rather than crashing on failure
+const schedule = (name, job, interval) => {
+    const run = () => job().catch(error => console.error(`${name} job error:`, error));
+    run();
+    return setInterval(run, interval).unref();
+};
+
+// Background jobs run inside the web process
+const startJobs = () => {
+    resumePendingExports().catch(error => console.error('Resume data exports error:', error));
+    backfillGeoPoints().catch(error => console.error('Geo point backfill error:', error));
+    migrateUserIndexes().catch(error => console.error('User index migration error:', error));
+    schedule('Data export cleanup', cleanupExpiredExports, HOUR);
+    schedule('Account deletion', purgeDueAccounts, HOUR);
+    schedule('Account restriction expiry', liftExpiredRestrictions, HOUR);
+    // Each search is only checked once per SAVED_SEARCH_ALERT_HOURS
+    schedule('Saved search alerts', sendSavedSearchAlerts, HOUR);
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,110 @@
+const Product = require('../models/Product');
+const Artist = require('../models/Artist');
+const SavedSearch = require('../models/SavedSearch');
+const { buildProductQuery, buildArtistQuery } = require('../utils/searchQueries');
+const { notify } = require('../utils/notifications');
+
+// Most matches named in one alert; the count covers the rest
+const MAX_LISTED = 10;
+
+const alertIntervalHours = () => parseInt(process.env.SAVED_SEARCH_ALERT_HOURS, 10) || 24;
+
+const unsubscribeUrl = (search) => {
+    const baseUrl = process.env.CLIENT_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return `${baseUrl}/api/saved-searches/unsubscribe/${search.unsubscribeToken}`;
+};
+
+const formatPrice = (price) => (price && price.amount != null
+    ? new Intl.NumberFormat('en-IN', { style: 'currency', currency: price.currency || 'INR', maximumFractionDigits: 0 }).format(price.amount)
+    : '');
+
+// Each search type: its query builder, the date that makes an item new, and how a match is described
+const SEARCH_TYPES = {
+    products: {
+        model: Product,
+        buildQuery: buildProductQuery,
+        dateField: 'createdAt',
+        select: 'title price artform',
+        describe: product => [product.title, formatPrice(product.price)].filter(Boolean).join(', ')
+    },
+    artists: {
+        model: Artist,
+        buildQuery: buildArtistQuery,
+        dateField: 'joinedAt',
+        select: 'user specializations location.state',
+        populate: { path: 'user', select: 'name' },
+        describe: artist => {
+            const artforms = [...new Set((artist.specializations || []).map(s => s.artform))].join(', ');
+            return `${artist.user ? artist.user.name : 'Artist'} (${artforms}) in ${artist.location.state}`;
+        }
+    }
+};
+
+// Items matching the search that were listed after `since`, up to `until`
+const findNewMatches = async (search, since, until) => {
+    const searchType = SEARCH_TYPES[search.type];
+    const query = {
+        ...searchType.buildQuery(Object.fromEntries(search.filters)),
+        [searchType.dateField]: { $gt: since, $lte: until }
+    };
+
+    let find = searchType.model.find(query)
+        .select(searchType.select)
+        .sort({ [searchType.dateField]: -1 })
+        .limit(MAX_LISTED);
+    if (searchType.populate) {
+        find = find.populate(searchType.populate);
+    }
+
+    const [items, total] = await Promise.all([find, searchType.model.countDocuments(query)]);
+    return { items, total };
+};
+
+// Tell the user about matches listed since the search was last checked
+const alertSearch = async (search) => {
+    const checkedAt = new Date();
+    const { items, total } = await findNewMatches(search, search.lastCheckedAt, checkedAt);
+
+    if (total) {
+        const describe = SEARCH_TYPES[search.type].describe;
+        const noun = search.type === 'products' ? 'product' : 'artist';
+
+        await notify(search.user, 'saved_search_matches', {
+            title: `${total} new ${noun}${total === 1 ? '' : 's'} for "${search.name}"`,
+            message: `New matches for your saved search "${search.name}" since ${search.lastCheckedAt.toDateString()}.`,
+            data: {
+                savedSearch: search._id,
+                type: search.type,
+                total,
+                matches: items.map(item => item._id)
+            },
+            details: items.map(describe),
+            unsubscribeUrl: unsubscribeUrl(search)
+        });
+        search.lastAlertAt = checkedAt;
+    }
+
+    search.lastCheckedAt = checkedAt;
+    await search.save();
+};
+
+// Send each saved search with alerts on a digest of what is new since it was last checked
+const sendSavedSearchAlerts = async () => {
+    const dueBefore = new Date(Date.now() - alertIntervalHours() * 60 * 60 * 1000);
+    const searches = await SavedSearch.find({
+        alertsEnabled: true,
+        lastCheckedAt: { $lte: dueBefore }
+    });
+
+    for (const search of searches) {
+        try {
+            await alertSearch(search);
+        } catch (error) {
+            console.error(`Saved search alert error (${search._id}):`, error);
+        }
+    }
+};
+
+module.exports = {
+    sendSavedSearchAlerts
+};
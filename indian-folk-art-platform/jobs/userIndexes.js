@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const { normalizePhone } = require('../utils/phone');
+
+// Indexes that must allow accounts without the field. Accounts created before
+// phone sign-up had a plain unique email index, which counts every phone-only
+// account as a second user with no email.
+const SPARSE_UNIQUE = ['email', 'phone'];
+
+// Numbers stored before they were normalized on save: null for blank ones,
+// which are removed. Numbers that can't be normalized are left as typed.
+const phoneChanges = async () => {
+    const users = await User.collection
+        .find({ phone: { $exists: true } }, { projection: { phone: 1 } })
+        .toArray();
+
+    return users.reduce((changes, user) => {
+        if (!user.phone || !String(user.phone).trim()) {
+            changes.push({ _id: user._id, phone: null });
+        } else {
+            const phone = normalizePhone(user.phone);
+            if (phone && phone !== user.phone) {
+                changes.push({ _id: user._id, phone });
+            }
+        }
+        return changes;
+    }, []);
+};
+
+const dropIndexes = async (shouldDrop) => {
+    const indexes = await User.collection.indexes();
+
+    for (const index of indexes) {
+        const fields = Object.keys(index.key);
+        if (fields.length === 1 && SPARSE_UNIQUE.includes(fields[0]) && shouldDrop(fields[0], index)) {
+            await User.collection.dropIndex(index.name);
+        }
+    }
+};
+
+// Leave each number on one account: the one that confirmed it, otherwise the
+// oldest. The others lose it and have to add and confirm it again.
+const dedupePhones = async () => {
+    const duplicates = await User.collection.aggregate([
+        { $match: { phone: { $type: 'string' } } },
+        { $sort: { phoneVerified: -1, createdAt: 1, _id: 1 } },
+        { $group: { _id: '$phone', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]).toArray();
+
+    for (const { _id: phone, ids: [kept, ...others] } of duplicates) {
+        await User.collection.updateMany(
+            { _id: { $in: others } },
+            { $unset: { phone: '' }, $set: { phoneVerified: false } }
+        );
+        console.log(`Removed phone ${phone} from ${others.length} account(s); kept on ${kept}`);
+    }
+};
+
+// Bring user records saved before phone sign-up in line with the schema.
+// Safe to run on every start: once done, it finds nothing to change.
+const migrateUserIndexes = async () => {
+    // Replace indexes built without `sparse`
+    await dropIndexes((field, index) => !(index.unique && index.sparse));
+
+    const changes = await phoneChanges();
+    if (changes.length > 0) {
+        // Normalizing can make two accounts' numbers equal, which the unique
+        // index would refuse before dedupePhones() gets to them
+        await dropIndexes(field => field === 'phone');
+        for (const { _id, phone } of changes) {
+            await User.collection.updateOne({ _id }, phone ? { $set: { phone } } : { $unset: { phone: '' } });
+        }
+    }
+
+    await dedupePhones();
+
+    // A sparse index still counts null and '' as values, so blank emails go too
+    await User.collection.updateMany(
+        { $or: [{ email: { $type: 'null' } }, { email: '' }] },
+        { $unset: { email: '' } }
+    );
+
+    await User.createIndexes();
+};
+
+module.exports = {
+    migrateUserIndexes
+};
@@ -0,0 +1,167 @@
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const User = require('../models/User');
+const { sendAccountRestricted } = require('./auth');
+
+const startOfDay = (time) => {
+    const day = new Date(time);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+const countUsage = (key, field) => {
+    return ApiKeyUsage.updateOne(
+        { apiKey: key._id, day: startOfDay(Date.now()) },
+        { $inc: { [field]: 1 } },
+        { upsert: true }
+    );
+};
+
+// Count a request against the key's fixed window. Resolves to the updated
+// key, with rateWindowStart/rateWindowCount reflecting this request.
+const consumeRateLimit = async (key, req) => {
+    const windowMs = key.rateLimit.windowSeconds * 1000;
+    const windowStart = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+    const usage = {
+        'usage.lastUsedAt': Date.now(),
+        'usage.lastUsedIp': req.ip
+    };
+
+    const updated = await ApiKey.findOneAndUpdate(
+        { _id: key._id, rateWindowStart: windowStart },
+        { $inc: { rateWindowCount: 1, 'usage.totalRequests': 1 }, $set: usage },
+        { new: true }
+    );
+    if (updated) {
+        return updated;
+    }
+
+    // First request of a new window
+    return ApiKey.findOneAndUpdate(
+        { _id: key._id },
+        {
+            $inc: { 'usage.totalRequests': 1 },
+            $set: { ...usage, rateWindowStart: windowStart, rateWindowCount: 1 }
+        },
+        { new: true }
+    );
+};
+
+// Authenticate an X-API-Key header, if there is one, and apply the key's rate
+// limit. Mounted on /api before the per-IP limiter, which partner traffic skips.
+// Sets req.apiKey; routes decide what the key may do with allowApiKey().
+// Unknown and revoked keys are only flagged, so guessing keys still counts
+// against the per-IP limiter; rejectInvalidApiKey answers them after it.
+const authenticateApiKey = async (req, res, next) => {
+    const rawKey = req.get('x-api-key');
+    if (!rawKey) {
+        return next();
+    }
+
+    try {
+        const key = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+        if (!key || !key.isActive()) {
+            req.invalidApiKey = true;
+            return next();
+        }
+
+        const counted = await consumeRateLimit(key, req);
+        const limit = counted.rateLimit.requests;
+        const resetAt = counted.rateWindowStart.getTime() + counted.rateLimit.windowSeconds * 1000;
+
+        res.set('X-RateLimit-Limit', String(limit));
+        res.set('X-RateLimit-Remaining', String(Math.max(limit - counted.rateWindowCount, 0)));
+        res.set('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+
+        if (counted.rateWindowCount > limit) {
+            await Promise.all([
+                ApiKey.updateOne({ _id: key._id }, { $inc: { 'usage.rejectedRequests': 1 } }),
+                countUsage(key, 'rejected')
+            ]);
+
+            const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                code: 'API_KEY_RATE_LIMITED',
+                message: `Rate limit of ${limit} requests exceeded, try again in ${retryAfter} seconds`,
+                retryAfter
+            });
+        }
+
+        await countUsage(key, 'requests');
+
+        req.apiKey = counted;
+        next();
+    } catch (error) {
+        console.error('API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Mounted on /api after the per-IP limiter
+const rejectInvalidApiKey = (req, res, next) => {
+    if (req.invalidApiKey) {
+        return res.status(401).json({
+            success: false,
+            code: 'API_KEY_INVALID',
+            message: 'Invalid or revoked API key'
+        });
+    }
+    next();
+};
+
+// Let a route be called with an API key that has `scope`. Requests without a
+// key pass straight through, so this can sit in front of public routes and of
+// `protect` alike. On protected routes the key acts as its linked account.
+const allowApiKey = (scope) => async (req, res, next) => {
+    if (!req.apiKey) {
+        return next();
+    }
+
+    if (!req.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+            success: false,
+            code: 'API_KEY_SCOPE_MISSING',
+            message: `This API key does not have the ${scope} scope`
+        });
+    }
+
+    try {
+        if (req.apiKey.user) {
+            req.user = await User.findById(req.apiKey.user);
+
+            // The key acts as its account, so it stops working once the account is deleted
+            if (req.user && req.user.status === 'deleted') {
+                return res.status(401).json({
+                    success: false,
+                    code: 'API_KEY_INVALID',
+                    message: 'The account linked to this API key has been deleted'
+                });
+            }
+
+            // Same as protect() for a signed-in user: a suspended or banned account can't use its keys
+            const restriction = req.user && req.user.activeRestriction();
+            if (restriction) {
+                return sendAccountRestricted(res, restriction);
+            }
+        }
+        req.apiKeyScope = scope;
+        next();
+    } catch (error) {
+        console.error('API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    authenticateApiKey,
+    rejectInvalidApiKey,
+    allowApiKey
+};
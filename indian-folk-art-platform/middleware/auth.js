@@ -1,15 +1,74 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const { isFamilyActive } = require('../utils/authTokens');
 
-// Protect routes
-const protect = async (req, res, next) => {
-    let token;
+// Routes a user must still reach when their role requires 2FA they haven't set up
+const TWO_FACTOR_SETUP_PATHS = [
+    '/api/auth/me',
+    '/api/auth/2fa',
+    '/api/auth/logout',
+    '/api/auth/refresh'
+];
+
+// Requests an impersonation token may make; "view as user" is read-only
+const IMPERSONATION_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// 403 for a suspended or banned account, with the reason and when it ends
+const sendAccountRestricted = (res, restriction) => {
+    const banned = restriction.status === 'banned';
+    const until = restriction.expiresAt ? ` until ${restriction.expiresAt.toUTCString()}` : '';
+
+    return res.status(403).json({
+        success: false,
+        code: banned ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED',
+        message: `This account has been ${banned ? 'banned' : 'suspended'}${until}` +
+            (restriction.reason ? `: ${restriction.reason}` : ''),
+        reason: restriction.reason,
+        expiresAt: restriction.expiresAt
+    });
+};
 
+// Whether the admin policy requires 2FA for this user's role but it isn't enabled yet
+const twoFactorSetupRequired = async (user) => {
+    if (user.twoFactor && user.twoFactor.enabled) {
+        return false;
+    }
+    const policy = await SecurityPolicy.getPolicy();
+    return policy.twoFactorRequiredRoles.includes(user.role);
+};
+
+// Access token from the Authorization header, or the cookie in cookie mode
+const tokenFrom = (req) => {
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        token = req.headers.authorization.split(' ')[1];
-    } else if (req.cookies.token) {
-        token = req.cookies.token;
+        return req.headers.authorization.split(' ')[1];
     }
+    return req.cookies && req.cookies.token;
+};
+
+// Protect routes
+const protect = async (req, res, next) => {
+    // Partner API keys (see middleware/apiKey.js) only work where the route allows them
+    if (req.apiKey) {
+        if (!req.apiKeyScope) {
+            return res.status(403).json({
+                success: false,
+                code: 'API_KEY_NOT_ALLOWED',
+                message: 'API keys are not accepted on this route'
+            });
+        }
+        if (!req.user) {
+            return res.status(403).json({
+                success: false,
+                code: 'API_KEY_NO_ACCOUNT',
+                message: 'This API key is not linked to an account'
+            });
+        }
+        return next();
+    }
+
+    const token = tokenFrom(req);
 
     // Make sure token exists
     if (!token) {
@@ -22,7 +81,63 @@ const protect = async (req, res, next) => {
     try {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Access tokens belong to a refresh token family; reject them once
+        // that device has logged out or been revoked
+        if (!decoded.sid || !(await isFamilyActive(decoded.sid))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked, please log in again'
+            });
+        }
+
         req.user = await User.findById(decoded.id);
+        if (!req.user || req.user.status === 'deleted') {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized to access this route'
+            });
+        }
+
+        req.sessionFamily = decoded.sid;
+
+        // "View as user" tokens (POST /api/users/:id/impersonate) carry the
+        // staff member's id in `imp` and stop working if they lose the permission
+        if (decoded.imp) {
+            const impersonator = await User.findById(decoded.imp);
+            if (!impersonator || impersonator.status !== 'active' ||
+                !(await hasPermission(impersonator, 'user:impersonate'))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Impersonation session is no longer valid'
+                });
+            }
+            if (!IMPERSONATION_METHODS.includes(req.method)) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'IMPERSONATION_READ_ONLY',
+                    message: 'Changes cannot be made while viewing as another user'
+                });
+            }
+            req.impersonator = impersonator;
+            return next();
+        }
+
+        const restriction = req.user.activeRestriction();
+        if (restriction) {
+            return sendAccountRestricted(res, restriction);
+        }
+
+        const path = req.baseUrl + req.path;
+        const isSetupPath = TWO_FACTOR_SETUP_PATHS.some(p => path === p || path.startsWith(`${p}/`));
+        if (!isSetupPath && await twoFactorSetupRequired(req.user)) {
+            return res.status(403).json({
+                success: false,
+                code: 'TWO_FACTOR_SETUP_REQUIRED',
+                message: 'Two-factor authentication must be enabled for your account'
+            });
+        }
+
         next();
     } catch (error) {
         return res.status(401).json({
@@ -32,6 +147,30 @@ const protect = async (req, res, next) => {
     }
 };
 
+// On public routes, set req.user when a valid login comes with the request so
+// the route can personalise; anything less just continues anonymously.
+// Impersonation tokens stay anonymous so staff browsing doesn't count as the user's.
+const identifyUser = async (req, res, next) => {
+    const token = tokenFrom(req);
+    if (req.apiKey || !token) {
+        return next();
+    }
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (!decoded.imp && decoded.sid && await isFamilyActive(decoded.sid)) {
+            const user = await User.findById(decoded.id);
+            if (user && user.status !== 'deleted' && !user.activeRestriction()) {
+                req.user = user;
+            }
+        }
+    } catch (error) {
+        // Expired or invalid token: treat as anonymous
+    }
+
+    next();
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
     return (req, res, next) => {
@@ -45,4 +184,113 @@ const authorize = (...roles) => {
     };
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+// Require a verified email address (set REQUIRE_EMAIL_VERIFICATION=false to disable)
+const requireVerified = (req, res, next) => {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+        return next();
+    }
+
+    // Phone-only accounts are verified by the one-time code they signed in with
+    const verified = req.user.isVerified || (!req.user.email && req.user.phoneVerified);
+
+    if (!verified && req.user.role !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Please verify your email address to continue'
+        });
+    }
+    next();
+};
+
+// Effective permissions for a role: the admin override if there is one, else the default
+const getRolePermissions = async (role) => {
+    const policy = await SecurityPolicy.getPolicy();
+    const override = policy.rolePermissions && policy.rolePermissions.get(role);
+    return override || DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+const hasPermission = async (user, permission) => {
+    if (!user) {
+        return false;
+    }
+    const permissions = await getRolePermissions(user.role);
+    return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Grant access to users holding any of the given permissions
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        for (const permission of permissions) {
+            if (await hasPermission(req.user, permission)) {
+                return next();
+            }
+        }
+        return res.status(403).json({
+            success: false,
+            message: `User role ${req.user.role} is not authorized to access this route`
+        });
+    };
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Load a resource and allow the request if the current user owns it or holds
+// `permission`. Used by every router instead of hand-written ownership checks.
+//
+//   checkOwnership({
+//       load: req => Product.findById(req.params.id).populate('seller'),
+//       owner: product => product.seller.user,   // an id, a populated doc, or an array of either
+//       permission: 'product:update:any',
+//       notFoundMessage: 'Product not found',
+//       forbiddenMessage: 'Not authorized to update this product'
+//   })
+//
+// The loaded document is available to the handler as req.resource.
+const checkOwnership = ({ load, owner, permission, notFoundMessage, forbiddenMessage }) => {
+    return async (req, res, next) => {
+        try {
+            const resource = await load(req);
+
+            if (!resource) {
+                return res.status(404).json({
+                    success: false,
+                    message: notFoundMessage || 'Resource not found'
+                });
+            }
+
+            const owners = [].concat(await owner(resource, req)).filter(Boolean);
+            const isOwner = owners.some(o => idOf(o).toString() === req.user.id);
+
+            if (!isOwner && !(permission && await hasPermission(req.user, permission))) {
+                return res.status(403).json({
+                    success: false,
+                    message: forbiddenMessage || 'Not authorized to access this resource'
+                });
+            }
+
+            req.resource = resource;
+            req.isResourceOwner = isOwner;
+            next();
+        } catch (error) {
+            console.error('Ownership check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    };
+};
+
+module.exports = {
+    protect,
+    identifyUser,
+    sendAccountRestricted,
+    authorize,
+    requireVerified,
+    twoFactorSetupRequired,
+    getRolePermissions,
+    hasPermission,
+    requirePermission,
+    checkOwnership
+};
\ No newline at end of file
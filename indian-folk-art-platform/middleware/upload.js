@@ -0,0 +1,92 @@
+const multer = require('multer');
+const sharp = require('sharp');
+
+const MAX_FILE_MB = parseInt(process.env.UPLOAD_MAX_FILE_MB, 10) || 5;
+
+// Largest image we will decode, so a small file can't expand into a huge bitmap
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+// Declared type, and the bytes a file of that type starts with
+const SIGNATURES = {
+    'image/jpeg': buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+    'image/png': buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/webp': buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+        buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+};
+
+const uploadError = (res, message) => res.status(400).json({
+    success: false,
+    code: 'INVALID_UPLOAD',
+    message
+});
+
+const multerMessage = (error, maxCount) => {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return `Images must be ${MAX_FILE_MB} MB or smaller`;
+        case 'LIMIT_FILE_COUNT':
+        case 'LIMIT_UNEXPECTED_FILE':
+            return `Upload at most ${maxCount} image${maxCount === 1 ? '' : 's'} in the "${error.field || 'image'}" field`;
+        default:
+            return error.message;
+    }
+};
+
+// Accept up to `maxCount` images in `field`, kept in memory for saveImage().
+// Checks the declared type, the file's magic bytes and that it decodes as an image.
+const imageUpload = (field, maxCount = 1) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: MAX_FILE_MB * 1024 * 1024,
+            files: maxCount,
+            fields: 20
+        },
+        fileFilter: (req, file, cb) => {
+            if (!SIGNATURES[file.mimetype]) {
+                return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+            }
+            cb(null, true);
+        }
+    }).array(field, maxCount);
+
+    return (req, res, next) => {
+        upload(req, res, async (error) => {
+            if (error instanceof multer.MulterError) {
+                if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === field) {
+                    return uploadError(res, 'Only JPEG, PNG and WebP images can be uploaded');
+                }
+                return uploadError(res, multerMessage(error, maxCount));
+            }
+            if (error) {
+                return next(error);
+            }
+
+            const files = req.files || [];
+            for (const file of files) {
+                if (!SIGNATURES[file.mimetype](file.buffer)) {
+                    return uploadError(res, `${file.originalname} is not a valid ${file.mimetype.split('/')[1].toUpperCase()} image`);
+                }
+
+                let metadata;
+                try {
+                    metadata = await sharp(file.buffer).metadata();
+                } catch (decodeError) {
+                    metadata = {};
+                }
+                if (!metadata.width || !metadata.height) {
+                    return uploadError(res, `${file.originalname} could not be read as an image`);
+                }
+                if (metadata.width * metadata.height > MAX_PIXELS) {
+                    return uploadError(res, `${file.originalname} is too large; images can be at most ${MAX_PIXELS / 1000000} megapixels`);
+                }
+            }
+
+            next();
+        });
+    };
+};
+
+module.exports = {
+    imageUpload
+};
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Partner API keys. Only a hash of the key is stored; the raw key is shown
+// once when it's issued or rotated.
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please name the key'],
+        maxlength: 100
+    },
+    // Museum, NGO or handicraft board the key was issued to
+    partner: {
+        type: String,
+        required: [true, 'Please provide the partner organisation'],
+        maxlength: 100
+    },
+    // Account the key acts as on routes that need a user (e.g. booking sessions)
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    // First characters of the key, so admins and partners can tell keys apart
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: [{
+        type: String,
+        enum: Object.keys(API_KEY_SCOPES)
+    }],
+    rateLimit: {
+        requests: {
+            type: Number,
+            default: 1000,
+            min: 1
+        },
+        windowSeconds: {
+            type: Number,
+            default: 3600,
+            min: 1
+        }
+    },
+    // Fixed-window counter for the rate limit
+    rateWindowStart: Date,
+    rateWindowCount: {
+        type: Number,
+        default: 0
+    },
+    usage: {
+        totalRequests: {
+            type: Number,
+            default: 0
+        },
+        rejectedRequests: {
+            type: Number,
+            default: 0
+        },
+        lastUsedAt: Date,
+        lastUsedIp: String
+    },
+    expiresAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    // Key this one replaced when it was rotated
+    rotatedFrom: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ApiKey'
+    },
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+apiKeySchema.statics.hashKey = function(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+// Generate a new raw key and set its prefix and hash on this document
+apiKeySchema.methods.generateKey = function() {
+    const rawKey = `ksk_${crypto.randomBytes(24).toString('base64url')}`;
+    this.prefix = rawKey.slice(0, 12);
+    this.keyHash = this.constructor.hashKey(rawKey);
+    return rawKey;
+};
+
+apiKeySchema.methods.isActive = function() {
+    if (this.revokedAt) {
+        return false;
+    }
+    return !this.expiresAt || this.expiresAt.getTime() > Date.now();
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
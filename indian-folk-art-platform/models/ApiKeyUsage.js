@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Daily request counts per API key, for usage reports
+const apiKeyUsageSchema = new mongoose.Schema({
+    apiKey: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ApiKey',
+        required: true
+    },
+    // UTC midnight of the day counted
+    day: {
+        type: Date,
+        required: true
+    },
+    requests: {
+        type: Number,
+        default: 0
+    },
+    // Requests turned away by the key's rate limit
+    rejected: {
+        type: Number,
+        default: 0
+    }
+});
+
+apiKeyUsageSchema.index({ apiKey: 1, day: -1 }, { unique: true });
+// Keep a year of history
+apiKeyUsageSchema.index({ day: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
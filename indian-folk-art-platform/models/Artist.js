@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { ARTFORMS, ART_CATEGORIES } = require('../config/artforms');
+const { pointSchema, syncLocationPoint } = require('../utils/geo');
+const { isValidTimeZone } = require('../utils/availability');
+
+// "HH:MM" on a 24-hour clock; "24:00" ends a window at midnight
+const TIME_OF_DAY = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
 
 const artistSchema = new mongoose.Schema({
     user: {
@@ -14,12 +20,12 @@ const artistSchema = new mongoose.Schema({
     specializations: [{
         artform: {
             type: String,
-            enum: ['warli', 'pithora', 'madhubani', 'tanjore', 'kalamkari', 'gond', 'other'],
+            enum: ARTFORMS,
             required: true
         },
         category: {
             type: String,
-            enum: ['music', 'dance', 'painting', 'sculpture', 'crafts', 'textiles'],
+            enum: ART_CATEGORIES,
             required: true
         },
         experience: {
@@ -29,16 +35,38 @@ const artistSchema = new mongoose.Schema({
         },
         description: String
     }],
+    // Shown in this order; manage through the /api/artists/:id/portfolio routes
     portfolio: [{
-        title: String,
-        description: String,
+        title: {
+            type: String,
+            maxlength: 120
+        },
+        description: {
+            type: String,
+            maxlength: 2000
+        },
         images: [String],
-        category: String,
-        artform: String,
+        // One of `images`, shown on cards and in the feed
+        coverImage: String,
+        category: {
+            type: String,
+            enum: ART_CATEGORIES
+        },
+        artform: {
+            type: String,
+            enum: ARTFORMS
+        },
+        // Unlisted items are left out of the profile and feed but open by direct link
+        visibility: {
+            type: String,
+            enum: ['public', 'unlisted'],
+            default: 'public'
+        },
         createdAt: {
             type: Date,
             default: Date.now
-        }
+        },
+        updatedAt: Date
     }],
     location: {
         state: {
@@ -53,7 +81,9 @@ const artistSchema = new mongoose.Schema({
         coordinates: {
             latitude: Number,
             longitude: Number
-        }
+        },
+        // Set from `coordinates`; used by the near-me search
+        point: pointSchema
     },
     pricing: {
         sessionRate: {
@@ -73,6 +103,8 @@ const artistSchema = new mongoose.Schema({
             features: [String]
         }]
     },
+    // Weekly hours in `timezone`; bookable slots are worked out from these
+    // (see utils/availability.js)
     availability: {
         schedule: [{
             day: {
@@ -80,8 +112,14 @@ const artistSchema = new mongoose.Schema({
                 enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
             },
             slots: [{
-                startTime: String,
-                endTime: String,
+                startTime: {
+                    type: String,
+                    match: [TIME_OF_DAY, 'Times must be HH:MM on a 24-hour clock']
+                },
+                endTime: {
+                    type: String,
+                    match: [TIME_OF_DAY, 'Times must be HH:MM on a 24-hour clock']
+                },
                 isAvailable: {
                     type: Boolean,
                     default: true
@@ -90,7 +128,24 @@ const artistSchema = new mongoose.Schema({
         }],
         timezone: {
             type: String,
-            default: 'Asia/Kolkata'
+            default: 'Asia/Kolkata',
+            validate: [isValidTimeZone, 'Please provide an IANA timezone such as Asia/Kolkata']
+        },
+        // Days off, as YYYY-MM-DD in `timezone`
+        blackoutDates: [{
+            date: {
+                type: String,
+                required: true,
+                match: [/^\d{4}-\d{2}-\d{2}$/, 'Blackout dates must be YYYY-MM-DD']
+            },
+            reason: String
+        }],
+        // Kept free before and after every booking
+        bufferMinutes: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 240
         }
     },
     ratings: {
@@ -117,10 +172,18 @@ const artistSchema = new mongoose.Schema({
         youtube: String,
         website: String
     },
+    // Number of Follow documents for this artist
+    followerCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Set only through an approved verification request (routes/verification.js)
     isVerified: {
         type: Boolean,
         default: false
     },
+    verifiedAt: Date,
     isActive: {
         type: Boolean,
         default: true
@@ -135,5 +198,6 @@ const artistSchema = new mongoose.Schema({
 artistSchema.index({ 'location.state': 1, 'location.city': 1 });
 artistSchema.index({ 'specializations.artform': 1 });
 artistSchema.index({ 'specializations.category': 1 });
+syncLocationPoint(artistSchema);
 
 module.exports = mongoose.model('Artist', artistSchema);
\ No newline at end of file
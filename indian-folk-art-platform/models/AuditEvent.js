@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Append-only record of sensitive actions. Events are written through
+// utils/audit.js and can never be changed or removed through the model.
+const auditEventSchema = new mongoose.Schema({
+    // e.g. auth.login, user.role_changed, product.price_changed (see README)
+    action: {
+        type: String,
+        required: true
+    },
+    // Who did it; empty for failed logins on unknown accounts
+    actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    actorRole: String,
+    apiKey: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ApiKey'
+    },
+    // What it was done to
+    targetType: String,
+    targetId: mongoose.Schema.ObjectId,
+    // Set when staff acted on someone else's account or content
+    adminOverride: {
+        type: Boolean,
+        default: false
+    },
+    // Field-level before/after values
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    metadata: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const appendOnly = function() {
+    throw new Error('Audit events are append-only');
+};
+
+auditEventSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return appendOnly();
+    }
+    next();
+});
+
+auditEventSchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+], { document: true, query: true }, appendOnly);
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
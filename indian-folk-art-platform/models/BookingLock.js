@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Held while a booking for an artist is checked against their free slots and
+// saved, so two requests can't both take the same slot. There is at most one per
+// artist (unique index); an expired lock is taken over, in case the process
+// holding it died.
+const bookingLockSchema = new mongoose.Schema({
+    artist: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Artist',
+        required: true
+    },
+    // Identifies the holder, so only they release it
+    token: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+bookingLockSchema.index({ artist: 1 }, { unique: true });
+bookingLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BookingLock', bookingLockSchema);
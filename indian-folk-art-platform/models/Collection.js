@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A saved product or artist. For products, the price and status when saved
+// (or last marked as seen) are kept so changes can be pointed out.
+const collectionItemSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['Product', 'Artist'],
+        required: true
+    },
+    item: {
+        type: mongoose.Schema.ObjectId,
+        refPath: 'items.kind',
+        required: true
+    },
+    note: {
+        type: String,
+        maxlength: 200
+    },
+    savedPrice: Number,
+    savedStatus: String,
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Named wishlist of products and artists. Private unless the owner turns on
+// sharing, which gives it an unguessable public link.
+const collectionSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please name the collection'],
+        trim: true,
+        maxlength: 80
+    },
+    description: {
+        type: String,
+        maxlength: 500
+    },
+    items: [collectionItemSchema],
+    // Set while the collection is shared; a new token replaces the old link
+    shareToken: String,
+    sharedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+collectionSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+collectionSchema.methods.share = function() {
+    this.shareToken = crypto.randomBytes(18).toString('base64url');
+    this.sharedAt = Date.now();
+    return this.shareToken;
+};
+
+collectionSchema.methods.unshare = function() {
+    this.shareToken = undefined;
+    this.sharedAt = undefined;
+};
+
+collectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+collectionSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A personal data export (DPDP/GDPR access request). The archive is built in
+// the background and downloaded through an unguessable link that expires.
+const dataExportSchema = new mongoose.Schema({
+    // Whose data is exported
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    requestedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+        default: 'pending'
+    },
+    // Archive location on disk, relative to the exports directory
+    fileName: {
+        type: String,
+        select: false
+    },
+    fileSize: Number,
+    // SHA-256 of the download token in the link
+    downloadTokenHash: {
+        type: String,
+        select: false
+    },
+    downloadCount: {
+        type: Number,
+        default: 0
+    },
+    error: String,
+    expiresAt: Date,
+    completedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ downloadTokenHash: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+dataExportSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate the download token for a finished export; the raw token only goes into the link
+dataExportSchema.methods.createDownloadToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.downloadTokenHash = this.constructor.hashToken(token);
+
+    const hours = parseInt(process.env.DATA_EXPORT_EXPIRE_HOURS, 10) || 48;
+    this.expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    return token;
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
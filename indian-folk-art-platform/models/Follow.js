@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A user following an artist. Artist.followerCount is kept in step with these.
+const followSchema = new mongoose.Schema({
+    follower: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    artist: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Artist',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+followSchema.index({ follower: 1, artist: 1 }, { unique: true });
+followSchema.index({ artist: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
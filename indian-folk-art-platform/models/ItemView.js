@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A logged-in user's visit to a product or artist page, one document per item.
+// The artforms and categories are copied in so recommendations can read
+// browsing history without loading every item again.
+const itemViewSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['Product', 'Artist'],
+        required: true
+    },
+    item: {
+        type: mongoose.Schema.ObjectId,
+        refPath: 'kind',
+        required: true
+    },
+    artforms: [String],
+    categories: [String],
+    // Set by $inc in record()
+    count: Number,
+    viewedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Record a view; failures are logged so browsing never breaks the page
+itemViewSchema.statics.record = async function(user, kind, item) {
+    if (!user) {
+        return;
+    }
+
+    const specializations = item.specializations || [];
+    const artforms = kind === 'Artist' ? specializations.map(s => s.artform) : [item.artform];
+    const categories = kind === 'Artist' ? specializations.map(s => s.category) : [item.category];
+
+    try {
+        await this.updateOne(
+            { user: user._id, kind, item: item._id },
+            {
+                $set: {
+                    artforms: [...new Set(artforms.filter(Boolean))],
+                    categories: [...new Set(categories.filter(Boolean))],
+                    viewedAt: new Date()
+                },
+                $inc: { count: 1 }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Record view error:', error);
+    }
+};
+
+itemViewSchema.index({ user: 1, kind: 1, item: 1 }, { unique: true });
+itemViewSchema.index({ user: 1, viewedAt: -1 });
+// Browsing history older than 90 days no longer counts
+itemViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ItemView', itemViewSchema);
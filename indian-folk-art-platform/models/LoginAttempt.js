@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Failed login counter per account identifier (email). Kept in MongoDB so
+// lockouts survive restarts and are shared between server instances.
+const loginAttemptSchema = new mongoose.Schema({
+    identifier: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true
+    },
+    failedCount: {
+        type: Number,
+        default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    // Dropped automatically once the account has been quiet for a while
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Login history: one entry per successful or failed sign-in on a known account
+const loginEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['bad_password', 'bad_2fa', 'bad_otp']
+    },
+    ip: String,
+    userAgent: String,
+    // Hash of the user agent, used to spot logins from a new device
+    deviceHash: String,
+    newDevice: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, deviceHash: 1, success: 1 });
+// Keep roughly six months of history
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
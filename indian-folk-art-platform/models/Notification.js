@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+// In-app notification shown in the bell menu
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: Object.keys(NOTIFICATION_TYPES),
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: String,
+    // Ids of what the notification is about, e.g. { session }
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+// Old notifications are dropped after six months
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
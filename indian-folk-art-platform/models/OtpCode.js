@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One-time codes sent by SMS for phone sign-in. Only a keyed hash of the code is stored.
+const otpCodeSchema = new mongoose.Schema({
+    // E.164, see utils/phone.js
+    phone: {
+        type: String,
+        required: true
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    // Guesses against this code, counted before each is checked; it stops working at OTP_MAX_ATTEMPTS
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    consumedAt: Date,
+    ip: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+otpCodeSchema.index({ phone: 1, createdAt: -1 });
+otpCodeSchema.index({ ip: 1, createdAt: -1 });
+// Keep expired codes for a day so the hourly send limit still sees them
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
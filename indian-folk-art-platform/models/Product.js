@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ARTFORMS } = require('../config/artforms');
 
 const productSchema = new mongoose.Schema({
     seller: {
@@ -23,7 +24,7 @@ const productSchema = new mongoose.Schema({
     },
     artform: {
         type: String,
-        enum: ['warli', 'pithora', 'madhubani', 'tanjore', 'kalamkari', 'gond', 'other'],
+        enum: ARTFORMS,
         required: true
     },
     images: [{
@@ -101,6 +102,19 @@ const productSchema = new mongoose.Schema({
         enum: ['active', 'inactive', 'sold_out', 'discontinued'],
         default: 'active'
     },
+    // Set when a moderator hides the listing. It stays inactive until they restore it.
+    moderation: {
+        hidden: {
+            type: Boolean,
+            default: false
+        },
+        reason: String,
+        by: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+        },
+        at: Date
+    },
     tags: [String],
     ratings: {
         average: {
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One document per issued refresh token. Tokens issued from the same login
+// share a `family`, which is what a "device" is in the sessions list and what
+// access tokens reference through their `sid` claim.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String,
+        required: true
+    },
+    familyCreatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    userAgent: String,
+    ip: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: Date,
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'revoked', 'account_deleted', 'account_suspended']
+    },
+    replacedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'RefreshToken'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Only a hash of the token is stored
+refreshTokenSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
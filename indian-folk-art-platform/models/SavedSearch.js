@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// The filters of a product or artist search, kept so the user can run it
+// again and be told about new matches (see jobs/savedSearchAlerts.js)
+const savedSearchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please name the search'],
+        trim: true,
+        maxlength: 80
+    },
+    type: {
+        type: String,
+        enum: ['products', 'artists'],
+        required: true
+    },
+    // Query parameters of GET /api/products or GET /api/artists, as strings
+    filters: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    alertsEnabled: {
+        type: Boolean,
+        default: true
+    },
+    // Lets the unsubscribe link in alert emails work without logging in
+    unsubscribeToken: {
+        type: String,
+        default: () => crypto.randomBytes(24).toString('base64url')
+    },
+    // Items listed after this are new matches for the next alert
+    lastCheckedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastAlertAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, lastCheckedAt: 1 });
+savedSearchSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/permissions');
+
+// Platform-wide security settings managed by admins. There is a single
+// document, looked up by key.
+const securityPolicySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    twoFactorRequiredRoles: [{
+        type: String,
+        enum: ROLES
+    }],
+    // Per-role permission lists that replace the defaults in config/permissions.js
+    rolePermissions: {
+        type: Map,
+        of: [String],
+        default: {}
+    },
+    updatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+// The policy is read on every authenticated request, so keep a short-lived copy
+securityPolicySchema.statics.getPolicy = async function() {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cached;
+    }
+
+    cached = await this.findOneAndUpdate(
+        { key: 'default' },
+        { $setOnInsert: { key: 'default' } },
+        { new: true, upsert: true }
+    );
+    cachedAt = Date.now();
+    return cached;
+};
+
+securityPolicySchema.statics.clearCache = function() {
+    cached = null;
+    cachedAt = 0;
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
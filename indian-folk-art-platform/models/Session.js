@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { pointSchema, syncLocationPoint } = require('../utils/geo');
+
+const SESSION_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled', 'rescheduled'];
+
+// Bookings that hold their time slot; a rescheduled booking holds its new time
+const BOOKED_STATUSES = ['pending', 'confirmed', 'rescheduled'];
 
 const sessionSchema = new mongoose.Schema({
     user: {
@@ -44,7 +50,9 @@ const sessionSchema = new mongoose.Schema({
         coordinates: {
             latitude: Number,
             longitude: Number
-        }
+        },
+        // Set from `coordinates`, like an artist's location
+        point: pointSchema
     },
     meetingLink: String, // for online sessions
     pricing: {
@@ -59,7 +67,7 @@ const sessionSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'confirmed', 'completed', 'cancelled', 'rescheduled'],
+        enum: SESSION_STATUSES,
         default: 'pending'
     },
     paymentStatus: {
@@ -111,5 +119,9 @@ sessionSchema.pre('save', function(next) {
 sessionSchema.index({ artist: 1, scheduledDate: 1 });
 sessionSchema.index({ user: 1, status: 1 });
 sessionSchema.index({ scheduledDate: 1, status: 1 });
+syncLocationPoint(sessionSchema);
+
+const Session = mongoose.model('Session', sessionSchema);
+Session.BOOKED_STATUSES = BOOKED_STATUSES;
 
-module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
+module.exports = Session;
\ No newline at end of file
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ROLES } = require('../config/permissions');
+const { PRIVACY_LEVELS, PRIVACY_FIELDS } = require('../config/privacy');
+const { ARTFORMS, ART_CATEGORIES } = require('../config/artforms');
+const { normalizePhone } = require('../utils/phone');
+
+// Artisans can sign up with just a phone number (OTP login), so an email
+// and password are only required for accounts without one
+const requiredWithoutPhone = function() {
+    return !this.phone;
+};
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -9,8 +21,9 @@ const userSchema = new mongoose.Schema({
     },
     email: {
         type: String,
-        required: [true, 'Please provide an email'],
+        required: [requiredWithoutPhone, 'Please provide an email or phone number'],
         unique: true,
+        sparse: true,
         lowercase: true,
         match: [
             /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
@@ -19,20 +32,28 @@ const userSchema = new mongoose.Schema({
     },
     password: {
         type: String,
-        required: [true, 'Please provide a password'],
+        required: [requiredWithoutPhone, 'Please provide a password'],
         minlength: 6,
         select: false
     },
     role: {
         type: String,
-        enum: ['user', 'artist', 'admin'],
+        enum: ROLES,
         default: 'user'
     },
     phone: {
         type: String,
         required: false,
+        unique: true,
+        sparse: true,
+        // Stored as E.164 so lookups by phone match however the number was typed
+        set: value => (value ? normalizePhone(value) || value : undefined),
         match: [/^\+?[\d\s-()]+$/, 'Please provide a valid phone number']
     },
+    phoneVerified: {
+        type: Boolean,
+        default: false
+    },
     location: {
         state: String,
         city: String,
@@ -41,13 +62,46 @@ const userSchema = new mongoose.Schema({
     preferences: {
         artforms: [{
             type: String,
-            enum: ['warli', 'pithora', 'madhubani', 'tanjore', 'kalamkari', 'gond', 'other']
+            enum: ARTFORMS
         }],
         interests: [{
             type: String,
-            enum: ['music', 'dance', 'painting', 'sculpture', 'crafts', 'textiles']
+            enum: ART_CATEGORIES
         }]
     },
+    // Who can see each personal field; see utils/privacy.js
+    privacy: {
+        email: {
+            type: String,
+            enum: PRIVACY_LEVELS,
+            default: PRIVACY_FIELDS.email.default
+        },
+        phone: {
+            type: String,
+            enum: PRIVACY_LEVELS,
+            default: PRIVACY_FIELDS.phone.default
+        },
+        location: {
+            type: String,
+            enum: PRIVACY_LEVELS,
+            default: PRIVACY_FIELDS.location.default
+        },
+        coordinates: {
+            type: String,
+            enum: PRIVACY_LEVELS,
+            default: PRIVACY_FIELDS.coordinates.default
+        }
+    },
+    // Per event type, which channels are on; types not listed use the
+    // defaults in config/notifications.js
+    notificationPreferences: {
+        type: Map,
+        of: new mongoose.Schema({
+            inApp: Boolean,
+            email: Boolean
+        }, { _id: false }),
+        default: {}
+    },
     profileImage: {
         type: String,
         default: ''
@@ -56,8 +110,68 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    resetPasswordToken: String,
-    resetPasswordExpire: Date,
+    verificationEmailSentAt: Date,
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret awaiting its first confirmed code during enrolment
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 hashes of unused one-time recovery codes
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Last accepted time step, so a code can't be replayed
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: Date
+    },
+    // Account lifecycle: deleting starts a grace period during which the
+    // account can be restored; afterwards it is anonymized (jobs/accountDeletion.js).
+    // Staff can suspend or ban an account, optionally until a set time.
+    status: {
+        type: String,
+        enum: ['active', 'suspended', 'banned', 'pending_deletion', 'deleted'],
+        default: 'active'
+    },
+    restriction: {
+        reason: String,
+        expiresAt: Date,
+        by: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+        },
+        at: Date
+    },
+    deletion: {
+        requestedAt: Date,
+        requestedBy: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+        },
+        scheduledFor: Date,
+        reason: String,
+        completedAt: Date
+    },
+    resetPasswordToken: {
+        type: String,
+        select: false
+    },
+    resetPasswordExpire: {
+        type: Date,
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -67,7 +181,7 @@ const userSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -75,7 +189,59 @@ userSchema.pre('save', async function(next) {
 
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
+    // Phone-only accounts have no password to match
+    if (!this.password) {
+        return false;
+    }
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate and hash password reset token
+userSchema.methods.getResetPasswordToken = function() {
+    const resetToken = crypto.randomBytes(20).toString('hex');
+
+    // Only the hash is stored; the raw token goes out in the email
+    this.resetPasswordToken = crypto
+        .createHash('sha256')
+        .update(resetToken)
+        .digest('hex');
+
+    const minutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 10;
+    this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
+
+    return resetToken;
+};
+
+// Sign an email verification token.
+// The email is part of the payload so a link stops working if the address changes.
+userSchema.methods.getEmailVerificationToken = function() {
+    return jwt.sign(
+        { id: this._id, email: this.email, purpose: 'verify-email' },
+        process.env.EMAIL_VERIFY_SECRET || process.env.JWT_SECRET,
+        { expiresIn: process.env.EMAIL_VERIFY_EXPIRE || '24h' }
+    );
+};
+
+// The suspension or ban currently in force, or null. A restriction whose
+// expiry has passed no longer applies, even before the job lifts it.
+userSchema.methods.activeRestriction = function() {
+    if (!['suspended', 'banned'].includes(this.status)) {
+        return null;
+    }
+
+    const expiresAt = this.restriction && this.restriction.expiresAt;
+    if (expiresAt && expiresAt <= Date.now()) {
+        return null;
+    }
+
+    return {
+        status: this.status,
+        reason: this.restriction && this.restriction.reason,
+        expiresAt
+    };
+};
+
+userSchema.index({ status: 1, 'deletion.scheduledFor': 1 });
+userSchema.index({ status: 1, 'restriction.expiresAt': 1 });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_KINDS = ['id_proof', 'artisan_card', 'gi_authorization', 'sample_work'];
+
+// An uploaded document, stored privately (see utils/images.js)
+const verificationDocumentSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: DOCUMENT_KINDS,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One step in the review, with what the artist or reviewer said
+const verificationEventSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['submitted', 'resubmitted', 'approved', 'rejected', 'more_info_requested'],
+        required: true
+    },
+    by: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    comment: {
+        type: String,
+        maxlength: 1000
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// An artist's request for the verified badge, reviewed by staff with artist:verify
+const verificationRequestSchema = new mongoose.Schema({
+    artist: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Artist',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'more_info_requested', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    documents: [verificationDocumentSchema],
+    history: [verificationEventSchema],
+    reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+verificationRequestSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Still waiting on a reviewer or on the artist
+verificationRequestSchema.methods.isOpen = function() {
+    return ['pending', 'more_info_requested'].includes(this.status);
+};
+
+verificationRequestSchema.index({ status: 1, updatedAt: 1 });
+verificationRequestSchema.index({ artist: 1, createdAt: -1 });
+
+const VerificationRequest = mongoose.model('VerificationRequest', verificationRequestSchema);
+VerificationRequest.DOCUMENT_KINDS = DOCUMENT_KINDS;
+
+module.exports = VerificationRequest;
@@ -5,16 +5,82 @@ class APIClient {
         this.defaultHeaders = {
             'Content-Type': 'application/json'
         };
+        // <meta name="auth-mode" content="cookie"> switches to HttpOnly cookie auth
+        this.cookieMode = document.querySelector('meta[name="auth-mode"]')?.content === 'cookie';
     }
 
     // Get authorization headers
     getAuthHeaders() {
+        if (this.cookieMode) {
+            // The browser sends the auth cookies; add the CSRF token they require
+            const csrfToken = this.getCookie('csrfToken');
+            return csrfToken ? { 'X-CSRF-Token': csrfToken } : {};
+        }
+        
         const token = localStorage.getItem('authToken');
         return token ? { 'Authorization': `Bearer ${token}` } : {};
     }
 
+    getCookie(name) {
+        const match = document.cookie.match(new RegExp(`(?:^|; )${name}=([^;]*)`));
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    // Store a fresh token pair
+    setTokens({ token, refreshToken }) {
+        // In cookie mode the server manages the tokens
+        if (this.cookieMode) return;
+        
+        localStorage.setItem('authToken', token);
+        if (refreshToken) {
+            localStorage.setItem('refreshToken', refreshToken);
+        }
+        if (window.authManager) {
+            window.authManager.token = token;
+        }
+    }
+
+    clearTokens() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+    }
+
+    // Trade the stored refresh token for a new pair. Concurrent callers share
+    // one request, since each refresh token can only be used once.
+    async refreshTokens() {
+        const refreshToken = this.cookieMode ? null : localStorage.getItem('refreshToken');
+        if (!refreshToken && !this.cookieMode) {
+            return false;
+        }
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.baseURL}/auth/refresh`, {
+                method: 'POST',
+                headers: { ...this.defaultHeaders, ...this.getAuthHeaders() },
+                credentials: 'same-origin',
+                // Cookie mode sends the refresh token as a cookie instead
+                body: JSON.stringify(refreshToken ? { refreshToken } : {})
+            })
+                .then(async response => {
+                    const data = await response.json();
+                    if (!response.ok || !data.success) {
+                        this.clearTokens();
+                        return false;
+                    }
+                    this.setTokens(data);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
     // Generic request method
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, retried = false) {
         const url = `${this.baseURL}${endpoint}`;
         
         const config = {
@@ -23,12 +89,20 @@ class APIClient {
                 ...this.getAuthHeaders(),
                 ...options.headers
             },
+            credentials: 'same-origin',
             ...options
         };
 
         try {
             const response = await fetch(url, config);
             
+            // Access tokens are short-lived; refresh once and retry
+            if (response.status === 401 && !retried && !endpoint.startsWith('/auth/refresh')) {
+                if (await this.refreshTokens()) {
+                    return this.request(endpoint, options, true);
+                }
+            }
+            
             // Handle different response types
             const contentType = response.headers.get('content-type');
             let data;
@@ -82,9 +156,9 @@ class APIClient {
     }
 
     // Upload file
-    async upload(endpoint, formData) {
+    async upload(endpoint, formData, method = 'POST') {
         return this.request(endpoint, {
-            method: 'POST',
+            method,
             headers: {
                 // Don't set Content-Type for FormData, let browser set it with boundary
                 ...this.getAuthHeaders()
@@ -110,12 +184,43 @@ class AuthAPI {
         this.client = client;
     }
 
+    // Token-issuing calls ask for cookies instead of body tokens in cookie mode
+    tokenRequestHeaders() {
+        return this.client.cookieMode ? { 'X-Auth-Mode': 'cookie' } : {};
+    }
+
     async login(email, password) {
-        return this.client.post('/auth/login', { email, password });
+        return this.client.request('/auth/login', {
+            method: 'POST',
+            headers: { ...this.client.defaultHeaders, ...this.tokenRequestHeaders() },
+            body: JSON.stringify({ email, password })
+        });
+    }
+
+    async requestPhoneCode(phone) {
+        return this.client.post('/auth/otp/request', { phone });
+    }
+
+    // Signs in, or registers when `details` ({ name, role }) are given for a new number
+    async verifyPhoneCode(phone, code, details = {}) {
+        return this.client.request('/auth/otp/verify', {
+            method: 'POST',
+            headers: { ...this.client.defaultHeaders, ...this.tokenRequestHeaders() },
+            body: JSON.stringify({ phone, code, ...details })
+        });
+    }
+
+    // Confirms the signed-in account's phone number with a code from requestPhoneCode()
+    async confirmPhone(code) {
+        return this.client.post('/auth/phone/verify', { code });
     }
 
     async register(userData) {
-        return this.client.post('/auth/register', userData);
+        return this.client.request('/auth/register', {
+            method: 'POST',
+            headers: { ...this.client.defaultHeaders, ...this.tokenRequestHeaders() },
+            body: JSON.stringify(userData)
+        });
     }
 
     async getProfile() {
@@ -126,11 +231,90 @@ class AuthAPI {
         return this.client.put('/auth/profile', profileData);
     }
 
+    async uploadProfileImage(file) {
+        const formData = new FormData();
+        formData.append('image', file);
+        return this.client.upload('/auth/profile/image', formData);
+    }
+
+    async removeProfileImage() {
+        return this.client.delete('/auth/profile/image');
+    }
+
+    async forgotPassword(email) {
+        return this.client.post('/auth/forgot-password', { email });
+    }
+
+    async resetPassword(token, password) {
+        return this.client.request(`/auth/reset-password/${token}`, {
+            method: 'PUT',
+            headers: { ...this.client.defaultHeaders, ...this.tokenRequestHeaders() },
+            body: JSON.stringify({ password })
+        });
+    }
+
+    async verifyEmail(token) {
+        return this.client.get(`/auth/verify/${token}`);
+    }
+
+    async resendVerification() {
+        return this.client.post('/auth/verify/resend');
+    }
+
     async logout() {
-        // Clear token from localStorage
-        localStorage.removeItem('authToken');
+        // Revoke this device on the server, then forget the tokens locally
+        try {
+            await this.client.post('/auth/logout');
+        } finally {
+            this.client.clearTokens();
+        }
+        return { success: true };
+    }
+
+    async logoutAll() {
+        try {
+            await this.client.post('/auth/logout-all');
+        } finally {
+            this.client.clearTokens();
+        }
         return { success: true };
     }
+
+    async verifyTwoFactor(challengeToken, { code, recoveryCode }) {
+        return this.client.request('/auth/2fa/verify', {
+            method: 'POST',
+            headers: { ...this.client.defaultHeaders, ...this.tokenRequestHeaders() },
+            body: JSON.stringify({ challengeToken, code, recoveryCode })
+        });
+    }
+
+    async setupTwoFactor() {
+        return this.client.post('/auth/2fa/setup');
+    }
+
+    async confirmTwoFactor(code) {
+        return this.client.post('/auth/2fa/confirm', { code });
+    }
+
+    async disableTwoFactor(password, code) {
+        return this.client.post('/auth/2fa/disable', { password, code });
+    }
+
+    async regenerateRecoveryCodes(code) {
+        return this.client.post('/auth/2fa/recovery-codes', { code });
+    }
+
+    async getLoginHistory(params = {}) {
+        return this.client.get('/auth/login-history', params);
+    }
+
+    async getDevices() {
+        return this.client.get('/auth/devices');
+    }
+
+    async revokeDevice(id) {
+        return this.client.delete(`/auth/devices/${id}`);
+    }
 }
 
 class ArtistsAPI {
@@ -142,10 +326,31 @@ class ArtistsAPI {
         return this.client.get('/artists', params);
     }
 
+    // Nearest first, each with `distanceKm`; other getArtists filters can be added
+    async getArtistsNear(latitude, longitude, radiusKm = 50, params = {}) {
+        return this.client.get('/artists', { ...params, near: `${latitude},${longitude}`, radiusKm });
+    }
+
     async getArtist(id) {
         return this.client.get(`/artists/${id}`);
     }
 
+    // Free start times; from/to are ISO dates, duration is in minutes
+    async getSlots(id, from, to, duration = 60) {
+        return this.client.get(`/artists/${id}/slots`, { from, to, duration });
+    }
+
+    // Owner or artist:analytics:any; params are from and to (ISO dates)
+    async getAnalytics(id, params = {}) {
+        return this.client.get(`/artists/${id}/analytics`, params);
+    }
+
+    // report is revenue, bookings, products or ratings
+    getAnalyticsCsvUrl(id, report = 'revenue', params = {}) {
+        const query = new URLSearchParams({ ...params, format: 'csv', report });
+        return `${this.client.baseURL}/artists/${id}/analytics?${query}`;
+    }
+
     async createArtist(artistData) {
         return this.client.post('/artists', artistData);
     }
@@ -154,8 +359,39 @@ class ArtistsAPI {
         return this.client.put(`/artists/${id}`, artistData);
     }
 
-    async addPortfolioItem(id, portfolioItem) {
-        return this.client.post(`/artists/${id}/portfolio`, portfolioItem);
+    async addPortfolioItem(id, portfolioItem, files = []) {
+        if (!files.length) {
+            return this.client.post(`/artists/${id}/portfolio`, portfolioItem);
+        }
+
+        const formData = new FormData();
+        Object.entries(portfolioItem).forEach(([key, value]) => {
+            [].concat(value).forEach(item => formData.append(key, item));
+        });
+        files.forEach(file => formData.append('images', file));
+        return this.client.upload(`/artists/${id}/portfolio`, formData);
+    }
+
+    // `images` in updates is the full list of image URLs to keep, in order
+    async updatePortfolioItem(id, itemId, updates, files = []) {
+        if (!files.length) {
+            return this.client.put(`/artists/${id}/portfolio/${itemId}`, updates);
+        }
+
+        const formData = new FormData();
+        Object.entries(updates).forEach(([key, value]) => {
+            [].concat(value).forEach(item => formData.append(key, item));
+        });
+        files.forEach(file => formData.append('images', file));
+        return this.client.upload(`/artists/${id}/portfolio/${itemId}`, formData, 'PUT');
+    }
+
+    async deletePortfolioItem(id, itemId) {
+        return this.client.delete(`/artists/${id}/portfolio/${itemId}`);
+    }
+
+    async reorderPortfolio(id, order) {
+        return this.client.put(`/artists/${id}/portfolio/order`, { order });
     }
 
     async getArtistsByLocation(state, city = null) {
@@ -166,6 +402,14 @@ class ArtistsAPI {
     async searchArtists(artform, category) {
         return this.client.get(`/artists/search/${artform}/${category}`);
     }
+
+    async followArtist(id) {
+        return this.client.post(`/artists/${id}/follow`);
+    }
+
+    async unfollowArtist(id) {
+        return this.client.delete(`/artists/${id}/follow`);
+    }
 }
 
 class ProductsAPI {
@@ -193,6 +437,23 @@ class ProductsAPI {
         return this.client.delete(`/products/${id}`);
     }
 
+    async moderateProduct(id, hidden, reason) {
+        return this.client.put(`/products/${id}/moderation`, { hidden, reason });
+    }
+
+    async uploadProductImages(id, files, alt = '') {
+        const formData = new FormData();
+        files.forEach(file => formData.append('images', file));
+        if (alt) {
+            formData.append('alt', alt);
+        }
+        return this.client.upload(`/products/${id}/images`, formData);
+    }
+
+    async deleteProductImage(id, imageId) {
+        return this.client.delete(`/products/${id}/images/${imageId}`);
+    }
+
     async getFeaturedProducts() {
         return this.client.get('/products/featured/list');
     }
@@ -226,6 +487,10 @@ class SessionsAPI {
     async rateSession(id, rating, review) {
         return this.client.put(`/sessions/${id}/rate`, { score: rating, review });
     }
+
+    async refundSession(id, reason) {
+        return this.client.put(`/sessions/${id}/refund`, { reason });
+    }
 }
 
 class UsersAPI {
@@ -233,8 +498,8 @@ class UsersAPI {
         this.client = client;
     }
 
-    async getUsers() {
-        return this.client.get('/users');
+    async getUsers(params = {}) {
+        return this.client.get('/users', params);
     }
 
     async getUser(id) {
@@ -245,9 +510,283 @@ class UsersAPI {
         return this.client.put('/users/preferences', preferences);
     }
 
+    async getPrivacy() {
+        return this.client.get('/users/privacy');
+    }
+
+    // settings: { email, phone, location, coordinates }, each 'public', 'logged_in', 'after_booking' or 'private'
+    async updatePrivacy(settings) {
+        return this.client.put('/users/privacy', settings);
+    }
+
     async deleteUser(id) {
         return this.client.delete(`/users/${id}`);
     }
+
+    async updateUserStatus(id, status, reason, expiresAt = null) {
+        return this.client.put(`/users/${id}/status`, { status, reason, expiresAt });
+    }
+
+    async updateUserRole(id, role, reason = '') {
+        return this.client.put(`/users/${id}/role`, { role, reason });
+    }
+
+    // Returns a read-only access token for viewing the app as that user
+    async impersonateUser(id, reason) {
+        return this.client.post(`/users/${id}/impersonate`, { reason });
+    }
+
+    async restoreUser(id) {
+        return this.client.post(`/users/${id}/restore`);
+    }
+
+    async requestDataExport(id) {
+        return this.client.get(`/users/${id}/export`);
+    }
+
+    async getDataExports(id) {
+        return this.client.get(`/users/${id}/exports`);
+    }
+}
+
+class RolesAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getRoles() {
+        return this.client.get('/roles');
+    }
+
+    async updateRolePermissions(role, permissions) {
+        return this.client.put(`/roles/${role}`, { permissions });
+    }
+
+    async resetRolePermissions(role) {
+        return this.client.delete(`/roles/${role}`);
+    }
+}
+
+class ApiKeysAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getKeys(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.client.get(`/admin/api-keys${queryString ? `?${queryString}` : ''}`);
+    }
+
+    async getKey(id, days = 30) {
+        return this.client.get(`/admin/api-keys/${id}?days=${days}`);
+    }
+
+    async createKey(keyData) {
+        return this.client.post('/admin/api-keys', keyData);
+    }
+
+    async updateKey(id, keyData) {
+        return this.client.put(`/admin/api-keys/${id}`, keyData);
+    }
+
+    async rotateKey(id, graceHours = 0) {
+        return this.client.post(`/admin/api-keys/${id}/rotate`, { graceHours });
+    }
+
+    async revokeKey(id) {
+        return this.client.delete(`/admin/api-keys/${id}`);
+    }
+}
+
+class AuditAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getEvents(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.client.get(`/admin/audit${queryString ? `?${queryString}` : ''}`);
+    }
+}
+
+class FeedAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // Pass the previous response's nextCursor to load the next page
+    async getFeed(cursor = null, limit = 20) {
+        return this.client.get('/feed', cursor ? { cursor, limit } : { limit });
+    }
+
+    async getFollowing() {
+        return this.client.get('/feed/following');
+    }
+}
+
+class CollectionsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getCollections() {
+        return this.client.get('/collections');
+    }
+
+    async getCollection(id) {
+        return this.client.get(`/collections/${id}`);
+    }
+
+    async getSharedCollection(token) {
+        return this.client.get(`/collections/shared/${token}`);
+    }
+
+    async createCollection(name, description = '') {
+        return this.client.post('/collections', { name, description });
+    }
+
+    async updateCollection(id, data) {
+        return this.client.put(`/collections/${id}`, data);
+    }
+
+    async deleteCollection(id) {
+        return this.client.delete(`/collections/${id}`);
+    }
+
+    async shareCollection(id) {
+        return this.client.post(`/collections/${id}/share`);
+    }
+
+    async unshareCollection(id) {
+        return this.client.delete(`/collections/${id}/share`);
+    }
+
+    // type is 'product' or 'artist'
+    async addItem(id, type, itemId, note = '') {
+        return this.client.post(`/collections/${id}/items`, { type, id: itemId, note });
+    }
+
+    async removeItem(id, itemId) {
+        return this.client.delete(`/collections/${id}/items/${itemId}`);
+    }
+
+    async markSeen(id) {
+        return this.client.post(`/collections/${id}/seen`);
+    }
+}
+
+class SavedSearchesAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getSavedSearches() {
+        return this.client.get('/saved-searches');
+    }
+
+    // type is 'products' or 'artists'; filters are the query parameters of that search
+    async saveSearch(name, type, filters = {}, alertsEnabled = true) {
+        return this.client.post('/saved-searches', { name, type, filters, alertsEnabled });
+    }
+
+    async getResults(id, params = {}) {
+        return this.client.get(`/saved-searches/${id}/results`, params);
+    }
+
+    async updateSavedSearch(id, data) {
+        return this.client.put(`/saved-searches/${id}`, data);
+    }
+
+    async deleteSavedSearch(id) {
+        return this.client.delete(`/saved-searches/${id}`);
+    }
+}
+
+class VerificationAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // documents: [{ kind, file }], kind being id_proof, artisan_card, gi_authorization or sample_work
+    documentsForm(documents, comment) {
+        const formData = new FormData();
+        documents.forEach(({ kind, file }) => {
+            formData.append('kinds', kind);
+            formData.append('documents', file);
+        });
+        if (comment) {
+            formData.append('comment', comment);
+        }
+        return formData;
+    }
+
+    async submitRequest(documents, comment = '') {
+        return this.client.upload('/verification', this.documentsForm(documents, comment));
+    }
+
+    async getMyRequests() {
+        return this.client.get('/verification/mine');
+    }
+
+    async addDocuments(id, documents, comment = '') {
+        return this.client.upload(`/verification/${id}/documents`, this.documentsForm(documents, comment));
+    }
+
+    // Reviewers (artist:verify)
+    async getQueue(params = {}) {
+        return this.client.get('/verification', params);
+    }
+
+    async getRequest(id) {
+        return this.client.get(`/verification/${id}`);
+    }
+
+    // decision is approve, reject or request_info
+    async review(id, decision, comment = '') {
+        return this.client.put(`/verification/${id}/review`, { decision, comment });
+    }
+}
+
+class RecommendationsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // { artists, products, workshops }, each result with `reasons`
+    async getRecommendations(limit = 10) {
+        return this.client.get('/recommendations', { limit });
+    }
+}
+
+class NotificationsAPI {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getNotifications(params = {}) {
+        return this.client.get('/notifications', params);
+    }
+
+    async getUnreadCount() {
+        return this.client.get('/notifications/unread-count');
+    }
+
+    async markRead(id) {
+        return this.client.put(`/notifications/${id}/read`);
+    }
+
+    async markAllRead() {
+        return this.client.put('/notifications/read-all');
+    }
+
+    async getPreferences() {
+        return this.client.get('/notifications/preferences');
+    }
+
+    // preferences: { booking_received: { inApp: true, email: false }, ... }
+    async updatePreferences(preferences) {
+        return this.client.put('/notifications/preferences', { preferences });
+    }
 }
 
 // Main API class that combines all services
@@ -260,7 +799,16 @@ class API {
         this.artists = new ArtistsAPI(this.client);
         this.products = new ProductsAPI(this.client);
         this.sessions = new SessionsAPI(this.client);
+        this.feed = new FeedAPI(this.client);
+        this.collections = new CollectionsAPI(this.client);
+        this.notifications = new NotificationsAPI(this.client);
+        this.recommendations = new RecommendationsAPI(this.client);
+        this.savedSearches = new SavedSearchesAPI(this.client);
+        this.verification = new VerificationAPI(this.client);
         this.users = new UsersAPI(this.client);
+        this.roles = new RolesAPI(this.client);
+        this.apiKeys = new ApiKeysAPI(this.client);
+        this.audit = new AuditAPI(this.client);
     }
 
     // Utility methods
@@ -276,6 +824,11 @@ class API {
         }
         
         if (error.status === 403) {
+            // Unverified accounts can browse but not sell or book
+            if (error.details?.code === 'EMAIL_NOT_VERIFIED') {
+                this.showError('Please verify your email first. Use "Verify Email" in your account menu to get a new link.');
+                return;
+            }
             // Forbidden
             this.showError('You do not have permission to perform this action.');
             return;
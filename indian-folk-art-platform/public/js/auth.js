@@ -2,18 +2,22 @@
 class AuthManager {
     constructor() {
         this.currentUser = null;
-        this.token = localStorage.getItem('authToken');
+        // In cookie mode the tokens live in HttpOnly cookies and never touch localStorage
+        this.cookieMode = document.querySelector('meta[name="auth-mode"]')?.content === 'cookie';
+        this.token = this.cookieMode ? null : localStorage.getItem('authToken');
         this.init();
     }
 
     init() {
         // Check if user is already logged in
-        if (this.token) {
+        if (this.token || this.cookieMode) {
             this.validateToken();
         }
         
         this.bindAuthEvents();
         this.updateUI();
+        this.checkResetPasswordLink();
+        this.checkVerifyEmailLink();
     }
 
     bindAuthEvents() {
@@ -25,11 +29,54 @@ class AuthManager {
         const registerForm = document.getElementById('registerForm');
         registerForm?.addEventListener('submit', this.handleRegister.bind(this));
         
+        // Phone number + one-time code sign-in
+        const phoneLoginForm = document.getElementById('phoneLoginForm');
+        phoneLoginForm?.addEventListener('submit', this.handlePhoneLogin.bind(this));
+        
+        // Password reset forms
+        const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+        forgotPasswordForm?.addEventListener('submit', this.handleForgotPassword.bind(this));
+        
+        const resetPasswordForm = document.getElementById('resetPasswordForm');
+        resetPasswordForm?.addEventListener('submit', this.handleResetPassword.bind(this));
+        
+        // Two-factor login step and enrolment
+        const twoFactorForm = document.getElementById('twoFactorForm');
+        twoFactorForm?.addEventListener('submit', this.handleTwoFactorLogin.bind(this));
+        
+        const twoFactorSetupForm = document.getElementById('twoFactorSetupForm');
+        twoFactorSetupForm?.addEventListener('submit', this.handleTwoFactorConfirm.bind(this));
+        
         // Logout functionality (will be added to UI dynamically)
         document.addEventListener('click', (e) => {
             if (e.target.matches('.logout-btn')) {
                 this.handleLogout();
             }
+            
+            if (e.target.closest('.verify-email-btn')) {
+                e.preventDefault();
+                this.resendVerificationEmail();
+            }
+            
+            if (e.target.closest('.phone-resend-link')) {
+                e.preventDefault();
+                this.requestPhoneCode(document.getElementById('phoneLoginForm'));
+            }
+            
+            if (e.target.closest('.two-factor-btn')) {
+                e.preventDefault();
+                this.startTwoFactorSetup();
+            }
+            
+            if (e.target.closest('.export-data-btn')) {
+                e.preventDefault();
+                this.requestDataExport();
+            }
+            
+            if (e.target.closest('.restore-account-btn')) {
+                e.preventDefault();
+                this.restoreAccount();
+            }
         });
     }
 
@@ -50,50 +97,299 @@ class AuthManager {
         
         try {
             const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: this.getLoginHeaders(),
+                body: JSON.stringify(loginData)
+            });
+            
+            const data = await response.json();
+            
+            if (data.success && data.twoFactorRequired) {
+                // Password accepted; ask for the authenticator code
+                this.twoFactorChallenge = data.challengeToken;
+                e.target.reset();
+                this.showAuthForm('two-factor');
+            } else if (data.success) {
+                this.completeLogin(data);
+            } else {
+                this.showNotification(data.message || 'Login failed', 'error');
+            }
+            
+        } catch (error) {
+            console.error('Login error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        } finally {
+            // Reset button state
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    completeLogin(data) {
+        this.token = data.token;
+        this.currentUser = data.user;
+        
+        // Store token
+        this.storeTokens(data);
+        
+        // Update UI
+        this.updateUI();
+        
+        // Close modal
+        this.closeAuthModal();
+        
+        // Show success message
+        this.showNotification('Welcome back!', 'success');
+        
+        if (data.user.deletionScheduledFor) {
+            const date = new Date(data.user.deletionScheduledFor).toLocaleDateString();
+            this.showNotification(`Your account will be deleted on ${date}. Use "Restore Account" in the menu to keep it.`, 'warning');
+        }
+        
+        // Roles the admin requires 2FA for must enrol before doing anything else
+        if (data.twoFactorSetupRequired) {
+            this.startTwoFactorSetup();
+            return;
+        }
+        
+        // Redirect based on user role
+        this.handlePostLoginRedirect();
+    }
+
+    // The phone form has three steps: send a code, enter it, and (for a new
+    // number) add a name to create the account
+    async handlePhoneLogin(e) {
+        e.preventDefault();
+        const form = e.target;
+        
+        if (!this.phoneLoginNumber) {
+            await this.requestPhoneCode(form);
+            return;
+        }
+        
+        const formData = new FormData(form);
+        const details = {};
+        if (!form.querySelector('.phone-register-fields').hidden) {
+            details.name = formData.get('name');
+            details.role = formData.get('role');
+        }
+        
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Verifying...';
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/auth/otp/verify', {
+                method: 'POST',
+                headers: this.getLoginHeaders(),
+                body: JSON.stringify({
+                    phone: this.phoneLoginNumber,
+                    code: formData.get('code'),
+                    ...details
+                })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success && data.twoFactorRequired) {
+                this.twoFactorChallenge = data.challengeToken;
+                this.resetPhoneLoginForm(form);
+                this.showAuthForm('two-factor');
+            } else if (data.success) {
+                this.resetPhoneLoginForm(form);
+                this.completeLogin(data);
+            } else if (data.code === 'REGISTRATION_DETAILS_REQUIRED') {
+                form.querySelector('.phone-register-fields').hidden = false;
+                form.querySelector('#phoneLoginName').required = true;
+                submitBtn.dataset.label = 'Create Account';
+                this.showNotification(data.message, 'info');
+            } else {
+                this.showNotification(data.message || 'Verification failed', 'error');
+            }
+            
+        } catch (error) {
+            console.error('Phone login error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        } finally {
+            // A finished sign-in has already put the form back to its first step
+            if (this.phoneLoginNumber) {
+                submitBtn.textContent = submitBtn.dataset.label || originalText;
+            }
+            submitBtn.disabled = false;
+        }
+    }
+
+    async requestPhoneCode(form) {
+        const phone = this.phoneLoginNumber || new FormData(form).get('phone');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/auth/otp/request', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(loginData)
+                body: JSON.stringify({ phone })
             });
             
             const data = await response.json();
             
             if (data.success) {
-                this.token = data.token;
-                this.currentUser = data.user;
-                
-                // Store token
-                localStorage.setItem('authToken', this.token);
-                
-                // Update UI
-                this.updateUI();
+                this.phoneLoginNumber = phone;
+                form.querySelector('#phoneLoginNumber').readOnly = true;
+                form.querySelector('.phone-code-group').hidden = false;
+                form.querySelector('#phoneLoginCode').required = true;
+                form.querySelector('.phone-resend-link').hidden = false;
+                submitBtn.textContent = 'Verify';
+                this.showNotification(data.message, 'success');
+            } else {
+                this.showNotification(data.message || 'Could not send code', 'error');
+            }
+            
+        } catch (error) {
+            console.error('Phone code error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    resetPhoneLoginForm(form) {
+        this.phoneLoginNumber = null;
+        form.reset();
+        form.querySelector('#phoneLoginNumber').readOnly = false;
+        form.querySelector('.phone-code-group').hidden = true;
+        form.querySelector('#phoneLoginCode').required = false;
+        form.querySelector('.phone-register-fields').hidden = true;
+        form.querySelector('#phoneLoginName').required = false;
+        form.querySelector('.phone-resend-link').hidden = true;
+        
+        const submitBtn = form.querySelector('button[type="submit"]');
+        delete submitBtn.dataset.label;
+        submitBtn.textContent = 'Send Code';
+    }
+
+    async handleTwoFactorLogin(e) {
+        e.preventDefault();
+        
+        const formData = new FormData(e.target);
+        const value = formData.get('code').trim();
+        // Six digits is an authenticator code; anything else is treated as a recovery code
+        const payload = /^\d{6}$/.test(value)
+            ? { code: value }
+            : { recoveryCode: value };
+        
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Verifying...';
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/auth/2fa/verify', {
+                method: 'POST',
+                headers: this.getLoginHeaders(),
+                body: JSON.stringify({ challengeToken: this.twoFactorChallenge, ...payload })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                this.twoFactorChallenge = null;
+                e.target.reset();
+                this.completeLogin(data);
                 
-                // Close modal
-                if (window.kalaSanskriti) {
-                    window.kalaSanskriti.closeModal();
+                if (payload.recoveryCode) {
+                    this.showNotification(`Recovery code used. ${data.recoveryCodesRemaining} remaining.`, 'warning');
                 }
-                
-                // Show success message
-                this.showNotification('Welcome back!', 'success');
-                
-                // Redirect based on user role
-                this.handlePostLoginRedirect();
-                
             } else {
-                this.showNotification(data.message || 'Login failed', 'error');
+                this.showNotification(data.message || 'Verification failed', 'error');
+                if (response.status === 401 && /expired/i.test(data.message || '')) {
+                    this.showAuthForm('login');
+                }
             }
             
         } catch (error) {
-            console.error('Login error:', error);
+            console.error('2FA login error:', error);
             this.showNotification('Network error. Please try again.', 'error');
         } finally {
-            // Reset button state
             submitBtn.textContent = originalText;
             submitBtn.disabled = false;
         }
     }
 
+    async startTwoFactorSetup() {
+        try {
+            const response = await fetch('/api/auth/2fa/setup', {
+                method: 'POST',
+                headers: this.getAuthHeaders()
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.showNotification(data.message || 'Could not start two-factor setup', 'error');
+                return;
+            }
+            
+            const setupForm = document.getElementById('two-factor-setup-form');
+            setupForm.querySelector('.two-factor-secret').textContent = data.data.secret;
+            setupForm.querySelector('.two-factor-uri').href = data.data.otpauthUrl;
+            setupForm.querySelector('.two-factor-recovery').hidden = true;
+            document.getElementById('twoFactorSetupForm').hidden = false;
+            this.showAuthForm('two-factor-setup');
+            
+        } catch (error) {
+            console.error('2FA setup error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        }
+    }
+
+    async handleTwoFactorConfirm(e) {
+        e.preventDefault();
+        
+        const formData = new FormData(e.target);
+        
+        try {
+            const response = await fetch('/api/auth/2fa/confirm', {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({ code: formData.get('code') })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                e.target.reset();
+                e.target.hidden = true;
+                
+                // Recovery codes are only ever shown once
+                const recovery = document.querySelector('#two-factor-setup-form .two-factor-recovery');
+                const list = recovery.querySelector('ul');
+                list.innerHTML = '';
+                data.data.recoveryCodes.forEach(code => {
+                    const item = document.createElement('li');
+                    item.textContent = code;
+                    list.appendChild(item);
+                });
+                recovery.hidden = false;
+                
+                if (this.currentUser) {
+                    this.currentUser.twoFactorEnabled = true;
+                    this.updateUI();
+                }
+                this.showNotification('Two-factor authentication enabled', 'success');
+            } else {
+                this.showNotification(data.message || 'Invalid code', 'error');
+            }
+            
+        } catch (error) {
+            console.error('2FA confirm error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        }
+    }
+
     async handleRegister(e) {
         e.preventDefault();
         
@@ -120,9 +416,7 @@ class AuthManager {
         try {
             const response = await fetch('/api/auth/register', {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
+                headers: this.getLoginHeaders(),
                 body: JSON.stringify(registerData)
             });
             
@@ -133,7 +427,7 @@ class AuthManager {
                 this.currentUser = data.user;
                 
                 // Store token
-                localStorage.setItem('authToken', this.token);
+                this.storeTokens(data);
                 
                 // Update UI
                 this.updateUI();
@@ -163,10 +457,267 @@ class AuthManager {
         }
     }
 
+    async handleForgotPassword(e) {
+        e.preventDefault();
+        
+        const formData = new FormData(e.target);
+        
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Sending...';
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/auth/forgot-password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email: formData.get('email') })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                e.target.reset();
+                this.showNotification(data.message, 'success');
+                this.showAuthForm('login');
+            } else {
+                this.showNotification(data.message || 'Could not send reset link', 'error');
+            }
+            
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    async handleResetPassword(e) {
+        e.preventDefault();
+        
+        const formData = new FormData(e.target);
+        const token = formData.get('token');
+        const password = formData.get('password');
+        
+        if (password.length < 6) {
+            this.showNotification('Password must be at least 6 characters long', 'error');
+            return;
+        }
+        
+        if (password !== formData.get('confirmPassword')) {
+            this.showNotification('Passwords do not match', 'error');
+            return;
+        }
+        
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Saving...';
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch(`/api/auth/reset-password/${encodeURIComponent(token)}`, {
+                method: 'PUT',
+                headers: this.getLoginHeaders(),
+                body: JSON.stringify({ password })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success && !data.user) {
+                // Accounts with two-factor auth sign in normally after a reset
+                e.target.reset();
+                this.showAuthForm('login');
+                this.showNotification(data.message, 'success');
+            } else if (data.success) {
+                this.token = data.token;
+                this.currentUser = data.user;
+                this.storeTokens(data);
+                
+                e.target.reset();
+                this.updateUI();
+                this.closeAuthModal();
+                this.showNotification('Your password has been reset', 'success');
+            } else {
+                this.showNotification(data.message || 'Password reset failed', 'error');
+            }
+            
+        } catch (error) {
+            console.error('Reset password error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    // Open the reset form when arriving from a /reset-password/:token email link
+    checkResetPasswordLink() {
+        const match = window.location.pathname.match(/^\/reset-password\/([a-f0-9]+)\/?$/i);
+        if (!match) return;
+        
+        const tokenInput = document.querySelector('#resetPasswordForm input[name="token"]');
+        if (tokenInput) {
+            tokenInput.value = match[1];
+        }
+        
+        // Drop the token from the address bar
+        window.history.replaceState({}, document.title, '/');
+        this.showAuthForm('reset-password');
+    }
+
+    // Confirm the address when arriving from a /verify-email/:token email link
+    async checkVerifyEmailLink() {
+        const match = window.location.pathname.match(/^\/verify-email\/([\w.-]+)\/?$/);
+        if (!match) return;
+        
+        window.history.replaceState({}, document.title, '/');
+        
+        try {
+            const response = await fetch(`/api/auth/verify/${match[1]}`);
+            const data = await response.json();
+            
+            if (data.success) {
+                if (this.currentUser) {
+                    this.currentUser.isVerified = true;
+                    this.updateUI();
+                }
+                this.showNotification('Thank you! Your email address is verified.', 'success');
+            } else {
+                this.showNotification(data.message || 'Email verification failed', 'error');
+            }
+            
+        } catch (error) {
+            console.error('Email verification error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        }
+    }
+
+    async resendVerificationEmail() {
+        try {
+            const response = await fetch('/api/auth/verify/resend', {
+                method: 'POST',
+                headers: this.getAuthHeaders()
+            });
+            
+            const data = await response.json();
+            this.showNotification(
+                data.message || (data.success ? 'Verification email sent' : 'Could not send verification email'),
+                data.success ? 'success' : 'error'
+            );
+            
+        } catch (error) {
+            console.error('Resend verification error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        }
+    }
+
+    async requestDataExport() {
+        try {
+            const response = await fetch(`/api/users/${this.currentUser.id}/export`, {
+                headers: this.getAuthHeaders()
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.showNotification(data.message || 'Could not start the export', 'error');
+                return;
+            }
+            
+            this.showNotification('Preparing your data. The download will start when it is ready.', 'info');
+            this.waitForDataExport(data.data.downloadUrl);
+            
+        } catch (error) {
+            console.error('Data export error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        }
+    }
+
+    async restoreAccount() {
+        try {
+            const response = await fetch(`/api/users/${this.currentUser.id}/restore`, {
+                method: 'POST',
+                headers: this.getAuthHeaders()
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                this.currentUser.deletionScheduledFor = null;
+                this.updateUI();
+            }
+            this.showNotification(data.message || 'Could not restore account', data.success ? 'success' : 'error');
+            
+        } catch (error) {
+            console.error('Restore account error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        }
+    }
+
+    // The link answers 202 until the archive is built
+    async waitForDataExport(downloadUrl, attempt = 0) {
+        try {
+            const response = await fetch(downloadUrl, { method: 'HEAD' });
+            
+            if (response.status === 200) {
+                window.location.href = downloadUrl;
+                return;
+            }
+            
+            if (response.status === 202 && attempt < 40) {
+                setTimeout(() => this.waitForDataExport(downloadUrl, attempt + 1), 3000);
+                return;
+            }
+            
+            this.showNotification('Your export is taking longer than expected. Try the link again later.', 'warning');
+            
+        } catch (error) {
+            console.error('Data export status error:', error);
+        }
+    }
+
+    showAuthForm(type) {
+        const modal = document.getElementById('auth-modal');
+        if (!modal) return;
+        
+        document.querySelectorAll('#auth-modal .auth-form').forEach(form => {
+            form.classList.toggle('active', form.id === `${type}-form`);
+        });
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeAuthModal() {
+        document.getElementById('auth-modal')?.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    storeTokens({ token, refreshToken }) {
+        // Cookie mode: the server already set HttpOnly cookies
+        if (this.cookieMode) return;
+        
+        localStorage.setItem('authToken', token);
+        if (refreshToken) {
+            localStorage.setItem('refreshToken', refreshToken);
+        }
+    }
+
     async handleLogout() {
         try {
+            // Revoke this device on the server (best effort; the access token may already be invalid)
+            if (this.token || this.cookieMode) {
+                await fetch('/api/auth/logout', {
+                    method: 'POST',
+                    headers: this.getAuthHeaders()
+                }).catch(() => {});
+            }
+            
             // Clear local storage
             localStorage.removeItem('authToken');
+            localStorage.removeItem('refreshToken');
             this.token = null;
             this.currentUser = null;
             
@@ -184,18 +735,32 @@ class AuthManager {
         }
     }
 
-    async validateToken() {
+    async validateToken(retried = false) {
         try {
             const response = await fetch('/api/auth/me', {
-                headers: {
-                    'Authorization': `Bearer ${this.token}`
-                }
+                headers: this.getAuthHeaders()
             });
             
             if (response.ok) {
                 const data = await response.json();
                 this.currentUser = data.user;
                 this.updateUI();
+                
+                if (data.impersonatedBy) {
+                    this.showNotification(`Viewing as ${data.user.name} (read-only)`, 'warning');
+                }
+            } else if (response.status === 403) {
+                // Suspended or banned since the last visit
+                const data = await response.json();
+                this.handleLogout();
+                this.showNotification(data.message, 'error');
+            } else if (response.status === 401 && !retried && await window.api?.client.refreshTokens()) {
+                // Access token expired; the API client stored a fresh pair
+                this.token = this.cookieMode ? null : localStorage.getItem('authToken');
+                this.validateToken(true);
+            } else if (this.cookieMode && !this.currentUser) {
+                // No cookie session on this visit; nothing to log out of
+                this.updateUI();
             } else {
                 // Token is invalid
                 this.handleLogout();
@@ -227,6 +792,12 @@ class AuthManager {
             // Update user menu
             this.updateUserMenu(userMenu);
             
+            // Notification bell sits just before the user menu
+            if (!document.querySelector('.bell-menu')) {
+                navActions?.insertBefore(this.createBellMenu(), userMenu);
+                this.startBellPolling();
+            }
+            
         } else {
             // User is not logged in
             if (loginBtn) loginBtn.style.display = 'inline-flex';
@@ -237,6 +808,170 @@ class AuthManager {
             if (userMenu) {
                 userMenu.remove();
             }
+            
+            this.stopBellPolling();
+            document.querySelector('.bell-menu')?.remove();
+        }
+    }
+
+    createBellMenu() {
+        const bellMenu = document.createElement('div');
+        bellMenu.className = 'bell-menu';
+        bellMenu.innerHTML = `
+            <button class="bell-btn" id="bell-btn" aria-label="Notifications">
+                <i class="fas fa-bell"></i>
+                <span class="bell-badge"></span>
+            </button>
+            <div class="bell-dropdown" id="bell-dropdown">
+                <div class="bell-header">
+                    <span>Notifications</span>
+                    <button class="bell-read-all">Mark all read</button>
+                </div>
+                <div class="bell-list"></div>
+            </div>
+        `;
+        
+        const bellBtn = bellMenu.querySelector('#bell-btn');
+        const dropdown = bellMenu.querySelector('#bell-dropdown');
+        
+        bellBtn.addEventListener('click', () => {
+            dropdown.classList.toggle('active');
+            if (dropdown.classList.contains('active')) {
+                this.loadBellNotifications();
+            }
+        });
+        
+        bellMenu.querySelector('.bell-read-all').addEventListener('click', () => this.markAllNotificationsRead());
+        
+        document.addEventListener('click', (e) => {
+            if (!bellMenu.contains(e.target)) {
+                dropdown.classList.remove('active');
+            }
+        });
+        
+        return bellMenu;
+    }
+
+    // Keep the unread badge current while logged in
+    startBellPolling() {
+        this.stopBellPolling();
+        this.refreshUnreadCount();
+        this.bellTimer = setInterval(() => this.refreshUnreadCount(), 60000);
+    }
+
+    stopBellPolling() {
+        if (this.bellTimer) {
+            clearInterval(this.bellTimer);
+            this.bellTimer = null;
+        }
+    }
+
+    setUnreadCount(count) {
+        const badge = document.querySelector('.bell-badge');
+        if (!badge) return;
+        
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.style.display = count > 0 ? 'flex' : 'none';
+    }
+
+    async refreshUnreadCount() {
+        try {
+            const response = await fetch('/api/notifications/unread-count', {
+                headers: this.getAuthHeaders()
+            });
+            
+            if (response.ok) {
+                const data = await response.json();
+                this.setUnreadCount(data.data.unreadCount);
+            }
+        } catch (error) {
+            console.error('Unread count error:', error);
+        }
+    }
+
+    async loadBellNotifications() {
+        const list = document.querySelector('.bell-list');
+        if (!list) return;
+        
+        try {
+            const response = await fetch('/api/notifications?limit=10', {
+                headers: this.getAuthHeaders()
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                return;
+            }
+            
+            this.setUnreadCount(data.unreadCount);
+            list.innerHTML = '';
+            
+            if (!data.data.length) {
+                list.innerHTML = '<div class="bell-empty">You\'re all caught up</div>';
+                return;
+            }
+            
+            // Built with textContent: titles and messages include user-entered text
+            data.data.forEach(item => {
+                const entry = document.createElement('a');
+                entry.href = '#';
+                entry.className = `bell-item${item.readAt ? '' : ' unread'}`;
+                
+                const title = document.createElement('div');
+                title.className = 'bell-item-title';
+                title.textContent = item.title;
+                
+                const message = document.createElement('div');
+                message.className = 'bell-item-message';
+                message.textContent = item.message || '';
+                
+                const time = document.createElement('div');
+                time.className = 'bell-item-time';
+                time.textContent = new Date(item.createdAt).toLocaleString();
+                
+                entry.append(title, message, time);
+                entry.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (!item.readAt) {
+                        this.markNotificationRead(item._id, entry);
+                    }
+                });
+                list.appendChild(entry);
+            });
+        } catch (error) {
+            console.error('Load notifications error:', error);
+        }
+    }
+
+    async markNotificationRead(id, entry) {
+        try {
+            const response = await fetch(`/api/notifications/${id}/read`, {
+                method: 'PUT',
+                headers: this.getAuthHeaders()
+            });
+            
+            if (response.ok) {
+                entry.classList.remove('unread');
+                this.refreshUnreadCount();
+            }
+        } catch (error) {
+            console.error('Mark notification read error:', error);
+        }
+    }
+
+    async markAllNotificationsRead() {
+        try {
+            const response = await fetch('/api/notifications/read-all', {
+                method: 'PUT',
+                headers: this.getAuthHeaders()
+            });
+            
+            if (response.ok) {
+                document.querySelectorAll('.bell-item.unread').forEach(entry => entry.classList.remove('unread'));
+                this.setUnreadCount(0);
+            }
+        } catch (error) {
+            console.error('Mark all notifications read error:', error);
         }
     }
 
@@ -265,6 +1000,18 @@ class AuthManager {
                 <a href="#" class="dropdown-item settings-btn">
                     <i class="fas fa-cog"></i> Settings
                 </a>
+                <a href="#" class="dropdown-item verify-email-btn">
+                    <i class="fas fa-envelope"></i> Verify Email
+                </a>
+                <a href="#" class="dropdown-item two-factor-btn">
+                    <i class="fas fa-shield-alt"></i> Set Up Two-Factor Auth
+                </a>
+                <a href="#" class="dropdown-item export-data-btn">
+                    <i class="fas fa-download"></i> Download My Data
+                </a>
+                <a href="#" class="dropdown-item restore-account-btn">
+                    <i class="fas fa-undo"></i> Restore Account
+                </a>
                 <div class="dropdown-divider"></div>
                 <a href="#" class="dropdown-item logout-btn">
                     <i class="fas fa-sign-out-alt"></i> Logout
@@ -305,18 +1052,33 @@ class AuthManager {
         
         // Show/hide dashboard based on role
         const dashboardBtn = userMenu.querySelector('.dashboard-btn');
-        if (this.currentUser.role === 'artist' || this.currentUser.role === 'admin') {
+        if (this.currentUser.role !== 'user') {
             dashboardBtn.style.display = 'flex';
         } else {
             dashboardBtn.style.display = 'none';
         }
+        
+        // Offer a new verification link until the email is confirmed (phone-only accounts have none)
+        const verifyBtn = userMenu.querySelector('.verify-email-btn');
+        const needsEmailVerification = this.currentUser.email && !this.currentUser.isVerified;
+        verifyBtn.style.display = needsEmailVerification ? 'flex' : 'none';
+        
+        const twoFactorBtn = userMenu.querySelector('.two-factor-btn');
+        twoFactorBtn.style.display = this.currentUser.twoFactorEnabled ? 'none' : 'flex';
+        
+        const restoreBtn = userMenu.querySelector('.restore-account-btn');
+        restoreBtn.style.display = this.currentUser.deletionScheduledFor ? 'flex' : 'none';
     }
 
     getRoleDisplayName(role) {
         const roleNames = {
             'user': 'Art Enthusiast',
             'artist': 'Folk Artist',
-            'admin': 'Administrator'
+            'admin': 'Administrator',
+            'moderator': 'Moderator',
+            'support': 'Support Agent',
+            'finance': 'Finance',
+            'cooperative_manager': 'Cooperative Manager'
         };
         return roleNames[role] || role;
     }
@@ -346,9 +1108,7 @@ class AuthManager {
     async checkArtistProfile() {
         try {
             const response = await fetch('/api/artists', {
-                headers: {
-                    'Authorization': `Bearer ${this.token}`
-                }
+                headers: this.getAuthHeaders()
             });
             
             if (response.ok) {
@@ -379,10 +1139,7 @@ class AuthManager {
         try {
             const response = await fetch('/api/auth/profile', {
                 method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.token}`
-                },
+                headers: this.getAuthHeaders(),
                 body: JSON.stringify(profileData)
             });
             
@@ -465,11 +1222,33 @@ class AuthManager {
     }
 
     getAuthHeaders() {
+        if (this.cookieMode) {
+            // Cookies carry the token; echo the CSRF cookie for the double-submit check
+            return {
+                'X-CSRF-Token': this.getCookie('csrfToken') || '',
+                'Content-Type': 'application/json'
+            };
+        }
+        
         return {
             'Authorization': `Bearer ${this.token}`,
             'Content-Type': 'application/json'
         };
     }
+
+    // Headers for endpoints that issue tokens
+    getLoginHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.cookieMode) {
+            headers['X-Auth-Mode'] = 'cookie';
+        }
+        return headers;
+    }
+
+    getCookie(name) {
+        const match = document.cookie.match(new RegExp(`(?:^|; )${name}=([^;]*)`));
+        return match ? decodeURIComponent(match[1]) : null;
+    }
 }
 
 // Add notification styles to the page
@@ -644,6 +1423,123 @@ const notificationStyles = `
     margin: var(--space-xs) 0;
 }
 
+.bell-menu {
+    position: relative;
+}
+
+.bell-btn {
+    position: relative;
+    background: none;
+    border: none;
+    cursor: pointer;
+    padding: var(--space-xs);
+    border-radius: var(--radius-md);
+    color: var(--charcoal);
+    font-size: 1.1rem;
+    transition: background-color var(--transition-fast);
+}
+
+.bell-btn:hover {
+    background: rgba(255, 153, 51, 0.1);
+}
+
+.bell-badge {
+    position: absolute;
+    top: 0;
+    right: 0;
+    min-width: 18px;
+    height: 18px;
+    padding: 0 4px;
+    border-radius: 9px;
+    background: var(--vermillion);
+    color: white;
+    font-size: 0.7rem;
+    font-weight: 600;
+    display: none;
+    align-items: center;
+    justify-content: center;
+}
+
+.bell-dropdown {
+    position: absolute;
+    top: 100%;
+    right: 0;
+    background: white;
+    border-radius: var(--radius-lg);
+    box-shadow: var(--shadow-lg);
+    width: 320px;
+    max-height: 420px;
+    overflow-y: auto;
+    opacity: 0;
+    visibility: hidden;
+    transform: translateY(-10px);
+    transition: all var(--transition-normal);
+    z-index: 1001;
+    margin-top: var(--space-xs);
+}
+
+.bell-dropdown.active {
+    opacity: 1;
+    visibility: visible;
+    transform: translateY(0);
+}
+
+.bell-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: var(--space-sm) var(--space-md);
+    border-bottom: 1px solid rgba(0, 0, 0, 0.1);
+    font-weight: 600;
+}
+
+.bell-read-all {
+    background: none;
+    border: none;
+    cursor: pointer;
+    color: var(--saffron);
+    font-size: 0.8rem;
+}
+
+.bell-item {
+    display: block;
+    padding: var(--space-sm) var(--space-md);
+    color: var(--charcoal);
+    text-decoration: none;
+    border-bottom: 1px solid rgba(0, 0, 0, 0.05);
+    transition: background-color var(--transition-fast);
+}
+
+.bell-item:hover {
+    background: rgba(255, 153, 51, 0.1);
+}
+
+.bell-item.unread {
+    background: rgba(255, 153, 51, 0.06);
+    border-left: 3px solid var(--saffron);
+}
+
+.bell-item-title {
+    font-weight: 600;
+}
+
+.bell-item-message {
+    font-size: 0.85rem;
+    color: var(--slate);
+}
+
+.bell-item-time {
+    font-size: 0.75rem;
+    color: var(--slate);
+    margin-top: 2px;
+}
+
+.bell-empty {
+    padding: var(--space-md);
+    text-align: center;
+    color: var(--slate);
+}
+
 @media (max-width: 768px) {
     .notification {
         right: 10px;
@@ -655,6 +1551,11 @@ const notificationStyles = `
     .user-dropdown {
         right: -10px;
     }
+    
+    .bell-dropdown {
+        width: 280px;
+        right: -60px;
+    }
 }
 </style>
 `;
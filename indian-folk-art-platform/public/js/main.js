@@ -88,6 +88,23 @@ class KalaSanskriti {
             e.preventDefault();
             this.switchAuthForm('login');
         });
+
+        document.getElementById('show-forgot-password')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.switchAuthForm('forgot-password');
+        });
+
+        document.getElementById('show-phone-login')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.switchAuthForm('phone-login');
+        });
+
+        document.querySelectorAll('.show-login-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.switchAuthForm('login');
+            });
+        });
         
         // Smooth scrolling for navigation links
         document.querySelectorAll('.nav-link').forEach(link => {
@@ -239,25 +256,17 @@ class KalaSanskriti {
     }
 
     closeModal = () => {
-        if (this.activeModal) {
-            const modal = document.getElementById(this.activeModal);
-            modal?.classList.remove('active');
-            this.activeModal = null;
-            document.body.style.overflow = '';
-        }
+        // Modals can also be opened outside this class (e.g. by AuthManager from an email link)
+        document.querySelectorAll('.modal.active').forEach(modal => modal.classList.remove('active'));
+        this.activeModal = null;
+        document.body.style.overflow = '';
     }
 
     switchAuthForm = (type) => {
-        const loginForm = document.getElementById('login-form');
-        const registerForm = document.getElementById('register-form');
-        
-        if (type === 'login') {
-            loginForm?.classList.add('active');
-            registerForm?.classList.remove('active');
-        } else {
-            registerForm?.classList.add('active');
-            loginForm?.classList.remove('active');
-        }
+        // Each auth view is a .auth-form with id `${type}-form`
+        document.querySelectorAll('#auth-modal .auth-form').forEach(form => {
+            form.classList.toggle('active', form.id === `${type}-form`);
+        });
     }
 
     showLocationModal = () => {
@@ -524,7 +533,10 @@ class KalaSanskriti {
                     <div class="artist-avatar">${initials}</div>
                 </div>
                 <div class="artist-info">
-                    <h3 class="artist-name">${artist.name || artist.user?.name}</h3>
+                    <h3 class="artist-name">
+                        ${artist.name || artist.user?.name}
+                        ${artist.isVerified ? '<span class="verified-badge" title="Verified artist"><i class="fas fa-check-circle"></i></span>' : ''}
+                    </h3>
                     <p class="artist-specialization">${specialization}</p>
                     <p class="artist-location"><i class="fas fa-map-marker-alt"></i> ${location}</p>
                     <div class="artist-rating">
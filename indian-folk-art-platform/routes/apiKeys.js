@@ -0,0 +1,363 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { diffFields, recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const keyValidation = [
+    body('scopes').optional().isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+    body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)).withMessage('Unknown scope'),
+    body('rateLimit.requests').optional().isInt({ min: 1 }).withMessage('rateLimit.requests must be a positive number'),
+    body('rateLimit.windowSeconds').optional().isInt({ min: 1, max: 86400 }).withMessage('rateLimit.windowSeconds must be between 1 and 86400'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be a date'),
+    body('user').optional({ nullable: true }).isMongoId().withMessage('user must be a user id')
+];
+
+// Booking needs an account to book as, so sessions:write keys must be linked to one
+const checkKeyAccount = async ({ scopes, user }) => {
+    if (user && !(await User.exists({ _id: user }))) {
+        return 'User not found';
+    }
+    if (scopes.includes('sessions:write') && !user) {
+        return 'Keys with the sessions:write scope must be linked to a user account';
+    }
+    return null;
+};
+
+// @desc    List API keys
+// @route   GET /api/admin/api-keys
+// @access  Private (apikey:manage)
+router.get('/', protect, requirePermission('apikey:manage'), async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.partner) {
+            query.partner = new RegExp(String(req.query.partner).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        }
+        if (req.query.status === 'active') {
+            query.revokedAt = null;
+            query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+        } else if (req.query.status === 'revoked') {
+            query.revokedAt = { $ne: null };
+        }
+
+        const keys = await ApiKey.find(query)
+            .populate('user', 'name email')
+            .populate('createdBy', 'name')
+            .sort('-createdAt');
+
+        res.status(200).json({
+            success: true,
+            count: keys.length,
+            data: keys
+        });
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get an API key with its daily usage
+// @route   GET /api/admin/api-keys/:id
+// @access  Private (apikey:manage)
+router.get('/:id', protect, requirePermission('apikey:manage'), async (req, res) => {
+    try {
+        const key = await ApiKey.findById(req.params.id)
+            .populate('user', 'name email')
+            .populate('createdBy', 'name');
+
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        const days = Math.min(parseInt(req.query.days, 10) || 30, 365);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const usage = await ApiKeyUsage.find({ apiKey: key._id, day: { $gte: since } })
+            .select('day requests rejected -_id')
+            .sort('day');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                key,
+                usage
+            }
+        });
+    } catch (error) {
+        console.error('Get API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Issue an API key
+// @route   POST /api/admin/api-keys
+// @access  Private (apikey:manage)
+router.post('/', protect, requirePermission('apikey:manage'), [
+    body('name').notEmpty().withMessage('Name is required'),
+    body('partner').notEmpty().withMessage('Partner is required'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    ...keyValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, partner, scopes, rateLimit, expiresAt, user } = req.body;
+
+        const accountError = await checkKeyAccount({ scopes, user });
+        if (accountError) {
+            return res.status(400).json({
+                success: false,
+                message: accountError
+            });
+        }
+
+        const key = new ApiKey({
+            name,
+            partner,
+            scopes: [...new Set(scopes)],
+            rateLimit,
+            expiresAt,
+            user,
+            createdBy: req.user.id
+        });
+        const rawKey = key.generateKey();
+        await key.save();
+
+        await recordAudit(req, {
+            action: 'apikey.issued',
+            targetType: 'ApiKey',
+            targetId: key._id,
+            metadata: { partner: key.partner, scopes: key.scopes, prefix: key.prefix }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key issued. Copy it now, it will not be shown again',
+            data: {
+                key,
+                apiKey: rawKey
+            }
+        });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Change an API key's name, scopes, rate limit, expiry or account
+// @route   PUT /api/admin/api-keys/:id
+// @access  Private (apikey:manage)
+router.put('/:id', protect, requirePermission('apikey:manage'), [
+    body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+    body('partner').optional().notEmpty().withMessage('Partner cannot be empty'),
+    ...keyValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const key = await ApiKey.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+        const before = key.toObject();
+
+        if (key.revokedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revoked keys cannot be changed'
+            });
+        }
+
+        ['name', 'partner', 'expiresAt', 'user'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                key[field] = req.body[field];
+            }
+        });
+        if (req.body.scopes) {
+            key.scopes = [...new Set(req.body.scopes)];
+        }
+        if (req.body.rateLimit) {
+            Object.assign(key.rateLimit, req.body.rateLimit);
+        }
+
+        const accountError = await checkKeyAccount({ scopes: key.scopes, user: key.user });
+        if (accountError) {
+            return res.status(400).json({
+                success: false,
+                message: accountError
+            });
+        }
+
+        await key.save();
+
+        await recordAudit(req, {
+            action: 'apikey.updated',
+            targetType: 'ApiKey',
+            targetId: key._id,
+            changes: diffFields(before, key, ['name', 'partner', 'user', 'scopes', 'rateLimit.requests', 'rateLimit.windowSeconds', 'expiresAt'])
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'API key updated',
+            data: key
+        });
+    } catch (error) {
+        console.error('Update API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Replace an API key with a new secret, optionally keeping the old
+//          one working for a grace period so the partner can switch over
+// @route   POST /api/admin/api-keys/:id/rotate
+// @access  Private (apikey:manage)
+router.post('/:id/rotate', protect, requirePermission('apikey:manage'), [
+    body('graceHours').optional().isInt({ min: 0, max: 168 }).withMessage('graceHours must be between 0 and 168')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const oldKey = await ApiKey.findById(req.params.id);
+        if (!oldKey || !oldKey.isActive()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Active API key not found'
+            });
+        }
+
+        const newKey = new ApiKey({
+            name: oldKey.name,
+            partner: oldKey.partner,
+            user: oldKey.user,
+            scopes: oldKey.scopes,
+            rateLimit: oldKey.rateLimit,
+            expiresAt: oldKey.expiresAt,
+            rotatedFrom: oldKey._id,
+            createdBy: req.user.id
+        });
+        const rawKey = newKey.generateKey();
+        await newKey.save();
+
+        const graceHours = parseInt(req.body.graceHours, 10) || 0;
+        if (graceHours > 0) {
+            const graceEnd = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+            if (!oldKey.expiresAt || oldKey.expiresAt > graceEnd) {
+                oldKey.expiresAt = graceEnd;
+            }
+        } else {
+            oldKey.revokedAt = Date.now();
+            oldKey.revokedBy = req.user.id;
+        }
+        await oldKey.save();
+
+        await recordAudit(req, {
+            action: 'apikey.rotated',
+            targetType: 'ApiKey',
+            targetId: oldKey._id,
+            metadata: { newKey: newKey._id, prefix: newKey.prefix, graceHours }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: graceHours > 0
+                ? `API key rotated. The old key keeps working for ${graceHours} hours`
+                : 'API key rotated. The old key no longer works',
+            data: {
+                key: newKey,
+                apiKey: rawKey
+            }
+        });
+    } catch (error) {
+        console.error('Rotate API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private (apikey:manage)
+router.delete('/:id', protect, requirePermission('apikey:manage'), async (req, res) => {
+    try {
+        const key = await ApiKey.findById(req.params.id);
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        // Kept rather than deleted so its usage history stays readable
+        if (!key.revokedAt) {
+            key.revokedAt = Date.now();
+            key.revokedBy = req.user.id;
+            await key.save();
+
+            await recordAudit(req, {
+                action: 'apikey.revoked',
+                targetType: 'ApiKey',
+                targetId: key._id,
+                metadata: { partner: key.partner, prefix: key.prefix }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'API key revoked'
+        });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,61 +1,136 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const Artist = require('../models/Artist');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const Follow = require('../models/Follow');
+const ItemView = require('../models/ItemView');
+const { protect, identifyUser, checkOwnership } = require('../middleware/auth');
+const { allowApiKey } = require('../middleware/apiKey');
+const { diffFields, recordAudit } = require('../utils/audit');
+const { applyPrivacy } = require('../utils/privacy');
+const { buildArtistQuery } = require('../utils/searchQueries');
+const { toPoint, parseLatLng, withinRadius } = require('../utils/geo');
+const { findSlots, MIN_SESSION_MINUTES, MAX_SESSION_MINUTES } = require('../utils/availability');
+const { buildArtistAnalytics } = require('../utils/artistAnalytics');
+const { toCsv } = require('../utils/csv');
+const { changedVerifiedFields, revokeVerification } = require('../utils/verification');
+const { saveImage, removeReplacedImages, foreignUploads } = require('../utils/images');
+const { imageUpload } = require('../middleware/upload');
+const { ARTFORMS, ART_CATEGORIES } = require('../config/artforms');
 
 const router = express.Router();
 
-// @desc    Get all artists with filtering and search
-// @route   GET /api/artists
-// @access  Public
-router.get('/', async (req, res) => {
-    try {
-        const {
-            artform,
-            category,
-            state,
-            city,
-            minRating,
-            maxPrice,
-            search,
-            page = 1,
-            limit = 12,
-            sort = 'joinedAt'
-        } = req.query;
+// Most images a single portfolio item can have
+const MAX_PORTFOLIO_IMAGES = 10;
+
+const PORTFOLIO_VISIBILITY = ['public', 'unlisted'];
+
+// How far ahead GET /:id/slots looks by default, and at most
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_SLOT_RANGE_DAYS = 7;
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// Analytics cover the last 12 months by default, and at most three years
+const DEFAULT_ANALYTICS_MONTHS = 12;
+const MAX_ANALYTICS_DAYS = 3 * 366;
+
+// One CSV per analytics report: the rows to use and their columns
+const ANALYTICS_REPORTS = {
+    revenue: {
+        rows: analytics => analytics.revenueByMonth,
+        columns: [
+            { header: 'Month', value: row => row.month },
+            { header: 'Currency', value: row => row.currency },
+            { header: 'Revenue', value: row => row.revenue },
+            { header: 'Completed Sessions', value: row => row.sessions }
+        ]
+    },
+    bookings: {
+        rows: analytics => analytics.bookings.byTypeAndStatus,
+        columns: [
+            { header: 'Session Type', value: row => row.sessionType },
+            { header: 'Status', value: row => row.status },
+            { header: 'Bookings', value: row => row.count }
+        ]
+    },
+    products: {
+        rows: analytics => analytics.products.top,
+        columns: [
+            { header: 'Product ID', value: row => row._id },
+            { header: 'Title', value: row => row.title },
+            { header: 'Status', value: row => row.status },
+            { header: 'Price', value: row => row.price && row.price.amount },
+            { header: 'Views', value: row => row.views }
+        ]
+    },
+    ratings: {
+        rows: analytics => analytics.ratings.trend,
+        columns: [
+            { header: 'Month', value: row => row.month },
+            { header: 'Average Rating', value: row => row.average },
+            { header: 'Ratings', value: row => row.count }
+        ]
+    }
+};
 
-        // Build query object
-        let query = { isActive: true };
+// Near-me search radius
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
 
-        if (artform) {
-            query['specializations.artform'] = artform;
-        }
+const portfolioImages = (artist) => (artist.portfolio || []).flatMap(item => item.images || []);
 
-        if (category) {
-            query['specializations.category'] = category;
-        }
+const artistOwnership = (forbiddenMessage) => checkOwnership({
+    load: req => Artist.findById(req.params.id),
+    owner: artist => artist.user,
+    permission: 'artist:update:any',
+    notFoundMessage: 'Artist not found',
+    forbiddenMessage
+});
 
-        if (state) {
-            query['location.state'] = new RegExp(state, 'i');
+// Artists within `radiusKm` of `center`, nearest first unless another sort is given,
+// each with its `distanceKm`
+const findNearbyArtists = async (query, center, radiusKm, sort, page, limit) => {
+    const point = toPoint(center);
+    const pipeline = [
+        {
+            $geoNear: {
+                near: point,
+                key: 'location.point',
+                distanceField: 'distanceKm',
+                distanceMultiplier: 0.001,
+                maxDistance: radiusKm * 1000,
+                spherical: true,
+                query
+            }
         }
+    ];
+    if (sort) {
+        pipeline.push({ $sort: sort });
+    }
+    pipeline.push({ $skip: (page - 1) * limit }, { $limit: limit * 1 });
 
-        if (city) {
-            query['location.city'] = new RegExp(city, 'i');
-        }
+    const [artists, total] = await Promise.all([
+        Artist.aggregate(pipeline),
+        Artist.countDocuments({ ...query, 'location.point': withinRadius(point, radiusKm) })
+    ]);
+    await Artist.populate(artists, { path: 'user', select: 'name email profileImage location' });
 
-        if (minRating) {
-            query['ratings.average'] = { $gte: parseFloat(minRating) };
-        }
+    return { artists, total };
+};
 
-        if (maxPrice) {
-            query['pricing.sessionRate'] = { $lte: parseFloat(maxPrice) };
-        }
+// @desc    Get all artists with filtering and search. `near=lat,lng` limits results to
+//          `radiusKm` (default 50) and adds `distanceKm`, sorted nearest first by default.
+// @route   GET /api/artists
+// @access  Public (or API key with artists:read)
+router.get('/', allowApiKey('artists:read'), identifyUser, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 12,
+            near
+        } = req.query;
 
-        if (search) {
-            query.$or = [
-                { bio: new RegExp(search, 'i') },
-                { 'specializations.description': new RegExp(search, 'i') }
-            ];
-        }
+        const query = buildArtistQuery(req.query);
 
         // Sort options
         const sortOptions = {
@@ -65,14 +140,42 @@ router.get('/', async (req, res) => {
             name: { 'user.name': 1 }
         };
 
-        const artists = await Artist.find(query)
-            .populate('user', 'name email profileImage location')
-            .sort(sortOptions[sort] || { joinedAt: -1 })
-            .limit(limit * 1)
-            .skip((page - 1) * limit)
-            .exec();
+        let artists;
+        let total;
+        if (near) {
+            const center = parseLatLng(near);
+            const radiusKm = req.query.radiusKm !== undefined ? parseFloat(req.query.radiusKm) : DEFAULT_RADIUS_KM;
+            if (!center || !(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `near must be "latitude,longitude" and radiusKm between 0 and ${MAX_RADIUS_KM}`
+                });
+            }
+
+            const sort = req.query.sort || 'distance';
+            ({ artists, total } = await findNearbyArtists(
+                query, center, radiusKm, sort === 'distance' ? null : sortOptions[sort] || sortOptions.joinedAt, page, limit
+            ));
+        } else {
+            artists = await Artist.find(query)
+                .populate('user', 'name email profileImage location')
+                .sort(sortOptions[req.query.sort] || { joinedAt: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .exec();
+
+            total = await Artist.countDocuments(query);
+        }
 
-        const total = await Artist.countDocuments(query);
+        await applyPrivacy(req, { artists });
+
+        // Exact distances to artists whose coordinates the viewer can't see would give
+        // their position away, so those are rounded up to whole kilometres
+        artists.filter(artist => artist.distanceKm !== undefined).forEach(artist => {
+            artist.distanceKm = artist.location.coordinates
+                ? Math.round(artist.distanceKm * 10) / 10
+                : Math.max(1, Math.ceil(artist.distanceKm));
+        });
 
         res.status(200).json({
             success: true,
@@ -93,8 +196,8 @@ router.get('/', async (req, res) => {
 
 // @desc    Get artist by ID
 // @route   GET /api/artists/:id
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public (or API key with artists:read); logged-in views count towards recommendations
+router.get('/:id', allowApiKey('artists:read'), identifyUser, async (req, res) => {
     try {
         const artist = await Artist.findById(req.params.id)
             .populate('user', 'name email profileImage phone location createdAt');
@@ -106,6 +209,9 @@ router.get('/:id', async (req, res) => {
             });
         }
 
+        await ItemView.record(req.user, 'Artist', artist);
+        await applyPrivacy(req, { artists: [artist] });
+
         res.status(200).json({
             success: true,
             data: artist
@@ -119,6 +225,137 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// @desc    Bookable start times, worked out from the weekly schedule in the artist's
+//          timezone less existing bookings, buffers and blackout dates
+// @route   GET /api/artists/:id/slots?from=&to=&duration=
+// @access  Public (or API key with artists:read)
+router.get('/:id/slots', allowApiKey('artists:read'), async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + DEFAULT_SLOT_RANGE_DAYS * DAY);
+        const duration = req.query.duration !== undefined ? parseInt(req.query.duration, 10) : 60;
+
+        if (isNaN(from) || isNaN(to) || to <= from) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be dates, with to after from'
+            });
+        }
+        if (to - from > MAX_SLOT_RANGE_DAYS * DAY) {
+            return res.status(400).json({
+                success: false,
+                message: `Ask for at most ${MAX_SLOT_RANGE_DAYS} days of slots at a time`
+            });
+        }
+        if (!(duration >= MIN_SESSION_MINUTES && duration <= MAX_SESSION_MINUTES)) {
+            return res.status(400).json({
+                success: false,
+                message: `duration must be between ${MIN_SESSION_MINUTES} and ${MAX_SESSION_MINUTES} minutes`
+            });
+        }
+
+        const artist = await Artist.findById(req.params.id).select('availability isActive');
+        if (!artist || !artist.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Artist not found'
+            });
+        }
+
+        const slots = await findSlots(artist, { from, to, duration });
+
+        res.status(200).json({
+            success: true,
+            count: slots.length,
+            timezone: artist.availability.timezone,
+            duration,
+            data: slots
+        });
+    } catch (error) {
+        console.error('Get artist slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Earnings and performance: revenue by month, bookings by type and status,
+//          cancellation rate, product views, most viewed products and rating
+//          trend. `format=csv` downloads one `report` (revenue, bookings, products, ratings).
+// @route   GET /api/artists/:id/analytics?from=&to=&format=&report=
+// @access  Private (owner, or artist:analytics:any)
+router.get('/:id/analytics', protect, checkOwnership({
+    load: req => Artist.findById(req.params.id).select('user availability pricing ratings'),
+    owner: artist => artist.user,
+    permission: 'artist:analytics:any',
+    notFoundMessage: 'Artist not found',
+    forbiddenMessage: 'Not authorized to view these analytics'
+}), async (req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - (DEFAULT_ANALYTICS_MONTHS - 1), 1));
+
+        if (isNaN(from) || isNaN(to) || to <= from) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be dates, with to after from'
+            });
+        }
+        if (to - from > MAX_ANALYTICS_DAYS * DAY) {
+            return res.status(400).json({
+                success: false,
+                message: 'Analytics can cover at most three years at a time'
+            });
+        }
+
+        // Own keys only, so names like "constructor" aren't taken for reports
+        const reportName = String(req.query.report || 'revenue');
+        const report = req.query.format === 'csv' && Object.hasOwn(ANALYTICS_REPORTS, reportName) &&
+            ANALYTICS_REPORTS[reportName];
+        if (req.query.format === 'csv' && !report) {
+            return res.status(400).json({
+                success: false,
+                message: `report must be one of ${Object.keys(ANALYTICS_REPORTS).join(', ')}`
+            });
+        }
+
+        const analytics = await buildArtistAnalytics(req.resource, { from, to });
+
+        if (report) {
+            const filename = `analytics-${reportName}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`;
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.send(toCsv(report.rows(analytics), report.columns));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: analytics
+        });
+    } catch (error) {
+        console.error('Get artist analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// What an artist can set on their profile. The owner, ratings, follower count,
+// verified badge and portfolio are kept by the app (portfolio items have their
+// own routes), and update operators such as $set never reach the model.
+const PROFILE_FIELDS = ['bio', 'specializations', 'location', 'pricing', 'availability', 'achievements', 'socialLinks'];
+
+const profileFields = (body) => PROFILE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+        fields[field] = body[field];
+    }
+    return fields;
+}, {});
+
 // @desc    Create artist profile
 // @route   POST /api/artists
 // @access  Private
@@ -133,12 +370,21 @@ router.post('/', protect, async (req, res) => {
             });
         }
 
-        // Update user role to artist if not already
-        await User.findByIdAndUpdate(req.user.id, { role: 'artist' });
+        // Plain users become artists; staff roles keep their role
+        if (req.user.role === 'user') {
+            await User.findByIdAndUpdate(req.user.id, { role: 'artist' });
+            await recordAudit(req, {
+                action: 'user.role_changed',
+                targetType: 'User',
+                targetId: req.user._id,
+                changes: [{ field: 'role', before: 'user', after: 'artist' }],
+                metadata: { reason: 'artist profile created' }
+            });
+        }
 
         const artist = await Artist.create({
-            user: req.user.id,
-            ...req.body
+            ...profileFields(req.body),
+            user: req.user.id
         });
 
         const populatedArtist = await Artist.findById(artist._id)
@@ -161,31 +407,27 @@ router.post('/', protect, async (req, res) => {
 // @desc    Update artist profile
 // @route   PUT /api/artists/:id
 // @access  Private
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, artistOwnership('Not authorized to update this profile'), async (req, res) => {
     try {
-        const artist = await Artist.findById(req.params.id);
-
-        if (!artist) {
-            return res.status(404).json({
-                success: false,
-                message: 'Artist not found'
-            });
-        }
-
-        // Check ownership or admin
-        if (artist.user.toString() !== req.user.id && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to update this profile'
-            });
-        }
+        const updates = profileFields(req.body);
 
         const updatedArtist = await Artist.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            updates,
             { new: true, runValidators: true }
         ).populate('user', 'name email profileImage');
 
+        if (!req.isResourceOwner) {
+            await recordAudit(req, {
+                action: 'artist.updated',
+                targetType: 'Artist',
+                targetId: updatedArtist._id,
+                changes: diffFields(req.resource, updatedArtist, Object.keys(updates))
+            });
+        }
+
+        await revokeVerification(req, updatedArtist, changedVerifiedFields(req.resource, updatedArtist));
+
         res.status(200).json({
             success: true,
             message: 'Artist profile updated successfully',
@@ -200,28 +442,99 @@ router.put('/:id', protect, async (req, res) => {
     }
 });
 
-// @desc    Add portfolio item
+// Fields an artist can set on a portfolio item. Multipart forms send the
+// image URLs to keep as one `images` field each.
+const portfolioFields = (isNew) => [
+    (isNew ? body('title').trim().notEmpty().withMessage('Title is required') : body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'))
+        .isLength({ max: 120 }).withMessage('Title must be 120 characters or fewer'),
+    body('description').optional().isLength({ max: 2000 }).withMessage('Description must be 2000 characters or fewer'),
+    body('artform').optional({ values: 'falsy' }).isIn(ARTFORMS).withMessage(`artform must be one of ${ARTFORMS.join(', ')}`),
+    body('category').optional({ values: 'falsy' }).isIn(ART_CATEGORIES).withMessage(`category must be one of ${ART_CATEGORIES.join(', ')}`),
+    body('visibility').optional().isIn(PORTFOLIO_VISIBILITY).withMessage(`visibility must be ${PORTFOLIO_VISIBILITY.join(' or ')}`)
+];
+
+// Copy the allowed fields from the request onto a portfolio item
+const applyPortfolioFields = (item, fields) => {
+    ['title', 'description', 'artform', 'category', 'visibility'].forEach(field => {
+        if (fields[field] !== undefined) {
+            item[field] = fields[field] || undefined;
+        }
+    });
+};
+
+// Store uploaded files and add them after `images`; the cover must be one of the
+// item's images and defaults to the first
+const portfolioImagesWithUploads = async (images, files, coverImage) => {
+    const all = [...images];
+    for (const file of files || []) {
+        const image = await saveImage(file.buffer, 'portfolio');
+        all.push(image.url);
+    }
+    return {
+        images: all,
+        coverImage: all.includes(coverImage) ? coverImage : all[0]
+    };
+};
+
+// Image URLs sent with a portfolio item can be outside links or images already in
+// the artist's portfolio (e.g. moved from another item); new files have to be
+// uploaded. Responds and returns true when one is someone else's upload.
+const rejectForeignImages = (res, urls, artist) => {
+    if (!foreignUploads(urls, portfolioImages(artist)).length) {
+        return false;
+    }
+    res.status(400).json({
+        success: false,
+        message: 'Portfolio images must be uploaded as files in the "images" field'
+    });
+    return true;
+};
+
+const findPortfolioItem = (req, res) => {
+    const item = req.resource.portfolio.id(req.params.itemId);
+    if (!item) {
+        res.status(404).json({
+            success: false,
+            message: 'Portfolio item not found'
+        });
+    }
+    return item;
+};
+
+// @desc    Add portfolio item. Accepts JSON, or multipart form data with
+//          image files in `images`
 // @route   POST /api/artists/:id/portfolio
 // @access  Private
-router.post('/:id/portfolio', protect, async (req, res) => {
+router.post('/:id/portfolio', protect, artistOwnership('Not authorized to update this portfolio'), imageUpload('images', MAX_PORTFOLIO_IMAGES), portfolioFields(true), async (req, res) => {
     try {
-        const artist = await Artist.findById(req.params.id);
-
-        if (!artist) {
-            return res.status(404).json({
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Artist not found'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        if (artist.user.toString() !== req.user.id) {
-            return res.status(403).json({
+        const artist = req.resource;
+
+        // Form fields arrive as a string when only one image URL is given
+        const imageUrls = [].concat(req.body.images || []);
+        if (imageUrls.length + (req.files || []).length > MAX_PORTFOLIO_IMAGES) {
+            return res.status(400).json({
                 success: false,
-                message: 'Not authorized to update this portfolio'
+                message: `A portfolio item can have at most ${MAX_PORTFOLIO_IMAGES} images`
             });
         }
+        if (rejectForeignImages(res, imageUrls, artist)) {
+            return;
+        }
 
-        artist.portfolio.push(req.body);
+        const item = {};
+        applyPortfolioFields(item, req.body);
+        Object.assign(item, await portfolioImagesWithUploads(imageUrls, req.files, req.body.coverImage));
+
+        artist.portfolio.push(item);
         await artist.save();
 
         res.status(201).json({
@@ -238,10 +551,278 @@ router.post('/:id/portfolio', protect, async (req, res) => {
     }
 });
 
+// @desc    Reorder the portfolio. `order` lists every item id, first shown first.
+// @route   PUT /api/artists/:id/portfolio/order
+// @access  Private
+router.put('/:id/portfolio/order', protect, artistOwnership('Not authorized to update this portfolio'), [
+    body('order').isArray().withMessage('order must be an array of portfolio item ids')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const artist = req.resource;
+        const order = req.body.order.map(String);
+        const itemIds = artist.portfolio.map(item => item._id.toString());
+
+        if (order.length !== itemIds.length || new Set(order).size !== order.length ||
+            !order.every(id => itemIds.includes(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'order must list every portfolio item id exactly once'
+            });
+        }
+
+        artist.portfolio = order.map(id => artist.portfolio.id(id));
+        await artist.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Portfolio reordered',
+            data: artist.portfolio
+        });
+    } catch (error) {
+        console.error('Reorder portfolio error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get a portfolio item, including unlisted ones (their direct link)
+// @route   GET /api/artists/:id/portfolio/:itemId
+// @access  Public (or API key with artists:read)
+router.get('/:id/portfolio/:itemId', allowApiKey('artists:read'), async (req, res) => {
+    try {
+        const artist = await Artist.findById(req.params.id).select('portfolio isActive');
+        const item = artist && artist.isActive && artist.portfolio.id(req.params.itemId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Portfolio item not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: item
+        });
+    } catch (error) {
+        console.error('Get portfolio item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Update a portfolio item. `images` is the full list to keep, in order;
+//          multipart uploads in `images` are added after them.
+// @route   PUT /api/artists/:id/portfolio/:itemId
+// @access  Private
+router.put('/:id/portfolio/:itemId', protect, artistOwnership('Not authorized to update this portfolio'), imageUpload('images', MAX_PORTFOLIO_IMAGES), portfolioFields(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const artist = req.resource;
+        const item = findPortfolioItem(req, res);
+        if (!item) {
+            return;
+        }
+
+        const before = [...item.images];
+        const keptImages = req.body.images !== undefined ? [].concat(req.body.images || []) : before;
+        if (keptImages.length + (req.files || []).length > MAX_PORTFOLIO_IMAGES) {
+            return res.status(400).json({
+                success: false,
+                message: `A portfolio item can have at most ${MAX_PORTFOLIO_IMAGES} images`
+            });
+        }
+        if (rejectForeignImages(res, keptImages, artist)) {
+            return;
+        }
+
+        applyPortfolioFields(item, req.body);
+        const { images, coverImage } = await portfolioImagesWithUploads(
+            keptImages,
+            req.files,
+            req.body.coverImage !== undefined ? req.body.coverImage : item.coverImage
+        );
+        item.images = images;
+        item.coverImage = coverImage;
+        item.updatedAt = new Date();
+        await artist.save();
+
+        if (!req.isResourceOwner) {
+            await recordAudit(req, {
+                action: 'artist.updated',
+                targetType: 'Artist',
+                targetId: artist._id,
+                metadata: { portfolioItem: item._id }
+            });
+        }
+
+        await removeReplacedImages(before, portfolioImages(artist), 'portfolio');
+
+        res.status(200).json({
+            success: true,
+            message: 'Portfolio item updated',
+            data: item
+        });
+    } catch (error) {
+        console.error('Update portfolio error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete a portfolio item and its uploaded images
+// @route   DELETE /api/artists/:id/portfolio/:itemId
+// @access  Private
+router.delete('/:id/portfolio/:itemId', protect, artistOwnership('Not authorized to update this portfolio'), async (req, res) => {
+    try {
+        const artist = req.resource;
+        const item = findPortfolioItem(req, res);
+        if (!item) {
+            return;
+        }
+
+        const images = [...item.images];
+        item.deleteOne();
+        await artist.save();
+
+        if (!req.isResourceOwner) {
+            await recordAudit(req, {
+                action: 'artist.updated',
+                targetType: 'Artist',
+                targetId: artist._id,
+                metadata: { portfolioItemDeleted: item._id, title: item.title }
+            });
+        }
+
+        await removeReplacedImages(images, portfolioImages(artist), 'portfolio');
+
+        res.status(200).json({
+            success: true,
+            message: 'Portfolio item deleted'
+        });
+    } catch (error) {
+        console.error('Delete portfolio error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Follow an artist
+// @route   POST /api/artists/:id/follow
+// @access  Private
+router.post('/:id/follow', protect, async (req, res) => {
+    try {
+        const artist = await Artist.findById(req.params.id);
+        if (!artist || !artist.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Artist not found'
+            });
+        }
+
+        if (artist.user.toString() === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot follow your own profile'
+            });
+        }
+
+        // Upsert so following twice is harmless and only counts once
+        const result = await Follow.updateOne(
+            { follower: req.user._id, artist: artist._id },
+            { $setOnInsert: { createdAt: new Date() } },
+            { upsert: true }
+        );
+        if (result.upsertedCount) {
+            artist.followerCount += 1;
+            await Artist.updateOne({ _id: artist._id }, { $inc: { followerCount: 1 } });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Artist followed',
+            data: {
+                following: true,
+                followerCount: artist.followerCount
+            }
+        });
+    } catch (error) {
+        console.error('Follow artist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Unfollow an artist
+// @route   DELETE /api/artists/:id/follow
+// @access  Private
+router.delete('/:id/follow', protect, async (req, res) => {
+    try {
+        const artist = await Artist.findById(req.params.id);
+        if (!artist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Artist not found'
+            });
+        }
+
+        const result = await Follow.deleteOne({ follower: req.user._id, artist: artist._id });
+        if (result.deletedCount && artist.followerCount > 0) {
+            artist.followerCount -= 1;
+            await Artist.updateOne(
+                { _id: artist._id, followerCount: { $gt: 0 } },
+                { $inc: { followerCount: -1 } }
+            );
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Artist unfollowed',
+            data: {
+                following: false,
+                followerCount: artist.followerCount
+            }
+        });
+    } catch (error) {
+        console.error('Unfollow artist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @desc    Get artists by location
 // @route   GET /api/artists/location/:state/:city?
-// @access  Public
-router.get('/location/:state/:city?', async (req, res) => {
+// @access  Public (or API key with artists:read)
+router.get('/location/:state{/:city}', allowApiKey('artists:read'), identifyUser, async (req, res) => {
     try {
         const { state, city } = req.params;
         
@@ -257,6 +838,7 @@ router.get('/location/:state/:city?', async (req, res) => {
         const artists = await Artist.find(query)
             .populate('user', 'name email profileImage')
             .sort({ 'ratings.average': -1 });
+        await applyPrivacy(req, { artists });
 
         res.status(200).json({
             success: true,
@@ -274,8 +856,8 @@ router.get('/location/:state/:city?', async (req, res) => {
 
 // @desc    Search artists by artform and category
 // @route   GET /api/artists/search/:artform/:category
-// @access  Public
-router.get('/search/:artform/:category', async (req, res) => {
+// @access  Public (or API key with artists:read)
+router.get('/search/:artform/:category', allowApiKey('artists:read'), identifyUser, async (req, res) => {
     try {
         const { artform, category } = req.params;
         
@@ -286,6 +868,7 @@ router.get('/search/:artform/:category', async (req, res) => {
         })
         .populate('user', 'name email profileImage location')
         .sort({ 'ratings.average': -1 });
+        await applyPrivacy(req, { artists });
 
         res.status(200).json({
             success: true,
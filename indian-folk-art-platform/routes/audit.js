@@ -0,0 +1,164 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { protect, requirePermission } = require('../middleware/auth');
+const { csvHeader, toCsvRow } = require('../utils/csv');
+
+const router = express.Router();
+
+// Rows a single CSV export can contain
+const EXPORT_LIMIT = 50000;
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Turn the query string into a MongoDB filter; returns { error } for bad input
+const buildAuditQuery = (params) => {
+    const { action, actor, targetType, targetId, adminOverride, ip, from, to } = params;
+    const query = {};
+
+    if (action) {
+        // Comma-separated list; a trailing * matches a prefix (e.g. auth.*)
+        const actions = action.split(',').map(a => a.trim()).filter(Boolean);
+        query.$or = actions.map(a => (a.endsWith('*')
+            ? { action: new RegExp(`^${a.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`) }
+            : { action: a }));
+    }
+
+    if (actor) {
+        if (!isObjectId(actor)) {
+            return { error: 'actor must be a user id' };
+        }
+        query.actor = actor;
+    }
+
+    if (targetType) {
+        query.targetType = targetType;
+    }
+
+    if (targetId) {
+        if (!isObjectId(targetId)) {
+            return { error: 'targetId must be an id' };
+        }
+        query.targetId = targetId;
+    }
+
+    if (adminOverride === 'true' || adminOverride === 'false') {
+        query.adminOverride = adminOverride === 'true';
+    }
+
+    if (ip) {
+        query.ip = ip;
+    }
+
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+        if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+            return { error: 'from and to must be dates' };
+        }
+    }
+
+    return { query };
+};
+
+const CSV_COLUMNS = [
+    { header: 'Time', value: e => e.createdAt },
+    { header: 'Action', value: e => e.action },
+    { header: 'Actor ID', value: e => e.actor && e.actor._id },
+    { header: 'Actor', value: e => e.actor && (e.actor.email || e.actor.phone || e.actor.name) },
+    { header: 'Actor Role', value: e => e.actorRole },
+    { header: 'API Key', value: e => e.apiKey },
+    { header: 'Target Type', value: e => e.targetType },
+    { header: 'Target ID', value: e => e.targetId },
+    { header: 'Admin Override', value: e => (e.adminOverride ? 'yes' : 'no') },
+    { header: 'Changes', value: e => (e.changes && e.changes.length ? e.changes : '') },
+    { header: 'Details', value: e => e.metadata },
+    { header: 'IP', value: e => e.ip },
+    { header: 'User Agent', value: e => e.userAgent }
+];
+
+// @desc    Search the audit log
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+router.get('/', protect, requirePermission('audit:read'), async (req, res) => {
+    try {
+        const { error, query } = buildAuditQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+        const events = await AuditEvent.find(query)
+            .populate('actor', 'name email phone')
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .skip((page - 1) * limit);
+
+        const total = await AuditEvent.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: events.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            data: events
+        });
+    } catch (error) {
+        console.error('Get audit events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Export matching audit events as CSV
+// @route   GET /api/admin/audit/export
+// @access  Private (audit:read)
+router.get('/export', protect, requirePermission('audit:read'), async (req, res) => {
+    try {
+        const { error, query } = buildAuditQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const cursor = AuditEvent.find(query)
+            .populate('actor', 'name email phone')
+            .sort({ createdAt: -1 })
+            .limit(EXPORT_LIMIT)
+            .cursor();
+
+        const filename = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.write(csvHeader(CSV_COLUMNS) + '\r\n');
+
+        // Stream rows so large exports don't have to fit in memory
+        for await (const event of cursor) {
+            res.write(toCsvRow(event, CSV_COLUMNS) + '\r\n');
+        }
+
+        res.end();
+    } catch (error) {
+        console.error('Export audit events error:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
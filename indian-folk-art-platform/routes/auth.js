@@ -1,16 +1,121 @@
 const express = require('express');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Artist = require('../models/Artist');
+const { protect, requirePermission, twoFactorSetupRequired, sendAccountRestricted } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { ROLES } = require('../config/permissions');
+const LoginEvent = require('../models/LoginEvent');
+const { sendEmail, escapeHtml } = require('../utils/sendEmail');
+const {
+    issueTokens,
+    rotateRefreshToken,
+    revokeFamily,
+    revokeAllForUser
+} = require('../utils/authTokens');
+const { deliverTokens, setAuthCookies, clearAuthCookies } = require('../utils/authCookies');
+const { recordAudit } = require('../utils/audit');
+const { revokeVerification } = require('../utils/verification');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { normalizePhone } = require('../utils/phone');
+const { saveImage, removeImage, removeReplacedImages } = require('../utils/images');
+const { imageUpload } = require('../middleware/upload');
+const { sendSms } = require('../utils/sms');
+const {
+    expireMinutes,
+    checkOtpSendAllowed,
+    createOtp,
+    verifyOtp,
+    consumeOtp
+} = require('../utils/otp');
+const {
+    loginIdentifier,
+    checkLoginAllowed,
+    sendLoginBlocked,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    clearFailedLogins
+} = require('../utils/loginSecurity');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE,
+// Base URL used for links in outgoing emails
+const getClientUrl = (req) => {
+    return process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+};
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Kala Sanskriti';
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Short-lived token proving the password step of a two-step login succeeded
+const signTwoFactorChallenge = (user) => {
+    return jwt.sign({ id: user._id, purpose: '2fa-login' }, process.env.JWT_SECRET, {
+        expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+    });
+};
+
+const hashRecoveryCode = (code) => {
+    return crypto
+        .createHash('sha256')
+        .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+        .digest('hex');
+};
+
+// Ten one-time recovery codes, formatted xxxxx-xxxxx
+const generateRecoveryCodes = () => {
+    return Array.from({ length: 10 }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+};
+
+// Check an authenticator code or a recovery code for a user loaded with
+// TWO_FACTOR_SECRET_FIELDS. Marks the code as used; the caller saves the user.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = verifyCode(user.twoFactor.secret, code);
+        if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+            return false;
+        }
+        user.twoFactor.lastUsedStep = step;
+        return true;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const index = user.twoFactor.recoveryCodes.indexOf(hash);
+        if (index === -1) {
+            return false;
+        }
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    return false;
+};
+
+// Email a signed verification link and record when it was sent
+const sendVerificationEmail = async (user, req) => {
+    const verifyUrl = `${getClientUrl(req)}/verify-email/${user.getEmailVerificationToken()}`;
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Verify your Kala Sanskriti email address',
+        text: `Namaste ${user.name},\n\n` +
+            `Please confirm your email address by opening the link below:\n\n` +
+            `${verifyUrl}\n\n` +
+            `You'll need a verified email to list products or book sessions with artists.`,
+        html: `<p>Namaste ${escapeHtml(user.name)},</p>` +
+            `<p>Please confirm your email address by clicking the link below:</p>` +
+            `<p><a href="${verifyUrl}">Verify my email</a></p>` +
+            `<p>You'll need a verified email to list products or book sessions with artists.</p>`
     });
+
+    user.verificationEmailSentAt = Date.now();
+    await user.save({ validateBeforeSave: false });
 };
 
 // @desc    Register user
@@ -43,6 +148,13 @@ router.post('/register', [
             });
         }
 
+        if (phone && await User.exists({ phone: normalizePhone(phone) })) {
+            return res.status(400).json({
+                success: false,
+                message: 'An account already uses this phone number'
+            });
+        }
+
         // Create user
         const user = await User.create({
             name,
@@ -53,18 +165,26 @@ router.post('/register', [
             location
         });
 
-        const token = generateToken(user._id);
+        // Registration still succeeds if the email can't be sent; the user can resend it
+        try {
+            await sendVerificationEmail(user, req);
+        } catch (emailError) {
+            console.error('Verification email error:', emailError);
+        }
+
+        const tokens = await issueTokens(user, req);
 
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
-            token,
+            message: 'User registered successfully. Please check your email to verify your account',
+            ...deliverTokens(req, res, tokens),
             user: {
                 id: user._id,
                 name: user.name,
                 email: user.email,
                 role: user.role,
-                location: user.location
+                location: user.location,
+                isVerified: user.isVerified
             }
         });
 
@@ -96,9 +216,16 @@ router.post('/login', [
 
         const { email, password } = req.body;
 
+        // Per-account throttling and lockout
+        const allowed = await checkLoginAllowed(email);
+        if (!allowed.allowed) {
+            return sendLoginBlocked(res, allowed);
+        }
+
         // Check for user and include password
         const user = await User.findOne({ email }).select('+password');
         if (!user) {
+            await recordFailedLogin(email, req, { reason: 'bad_password' });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -108,25 +235,45 @@ router.post('/login', [
         // Check if password matches
         const isMatch = await user.matchPassword(password);
         if (!isMatch) {
+            await recordFailedLogin(email, req, { user, reason: 'bad_password' });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        const token = generateToken(user._id);
+        const restriction = user.activeRestriction();
+        if (restriction) {
+            return sendAccountRestricted(res, restriction);
+        }
+
+        // Second step: the client exchanges the challenge and a code at /2fa/verify
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(user),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        await recordSuccessfulLogin(user, req);
+        const tokens = await issueTokens(user, req);
 
         res.status(200).json({
             success: true,
             message: 'Login successful',
-            token,
+            ...deliverTokens(req, res, tokens),
+            twoFactorSetupRequired: await twoFactorSetupRequired(user),
             user: {
                 id: user._id,
                 name: user.name,
                 email: user.email,
                 role: user.role,
                 location: user.location,
-                preferences: user.preferences
+                preferences: user.preferences,
+                isVerified: user.isVerified,
+                deletionScheduledFor: user.deletion && user.deletion.scheduledFor
             }
         });
 
@@ -139,6 +286,249 @@ router.post('/login', [
     }
 });
 
+// @desc    Send a one-time sign-in code by SMS
+// @route   POST /api/auth/otp/request
+// @access  Public
+router.post('/otp/request', [
+    body('phone').notEmpty().withMessage('Phone number is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid phone number'
+            });
+        }
+
+        const sendAllowed = await checkOtpSendAllowed(phone, req.ip);
+        if (!sendAllowed.allowed) {
+            res.set('Retry-After', String(sendAllowed.retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Please wait ${sendAllowed.retryAfter} seconds before requesting another code`,
+                retryAfter: sendAllowed.retryAfter
+            });
+        }
+
+        const { code, otp } = await createOtp(phone, req);
+
+        try {
+            await sendSms(phone, `${code} is your Kala Sanskriti sign-in code. ` +
+                `It expires in ${expireMinutes()} minutes. Don't share it with anyone.`);
+        } catch (smsError) {
+            console.error('OTP SMS error:', smsError);
+            await otp.deleteOne();
+            return res.status(500).json({
+                success: false,
+                message: 'Code could not be sent'
+            });
+        }
+
+        // Same response whether or not the number has an account
+        res.status(200).json({
+            success: true,
+            message: 'A sign-in code has been sent to your phone',
+            expiresIn: expireMinutes() * 60
+        });
+
+    } catch (error) {
+        console.error('OTP request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Sign in or register with a phone number and one-time code
+// @route   POST /api/auth/otp/verify
+// @access  Public
+router.post('/otp/verify', [
+    body('phone').notEmpty().withMessage('Phone number is required'),
+    body('code').matches(/^\d{6}$/).withMessage('Please enter the 6-digit code'),
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('role').optional().isIn(['user', 'artist']).withMessage('Role must be either user or artist')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid phone number'
+            });
+        }
+
+        // Code guesses count against the same per-account limit as passwords
+        const allowed = await checkLoginAllowed(phone);
+        if (!allowed.allowed) {
+            return sendLoginBlocked(res, allowed);
+        }
+
+        let user = await User.findOne({ phone });
+
+        const result = await verifyOtp(phone, req.body.code);
+        if (!result.valid) {
+            await recordFailedLogin(phone, req, { user, reason: 'bad_otp' });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired code',
+                attemptsRemaining: result.attemptsRemaining
+            });
+        }
+
+        const { name, role, location } = req.body;
+        const isNewUser = !user;
+
+        if (isNewUser) {
+            // The code stays valid so the client can resend it with the details
+            if (!name) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'REGISTRATION_DETAILS_REQUIRED',
+                    message: 'No account uses this number yet. Tell us your name to create one'
+                });
+            }
+
+            await consumeOtp(result.otp);
+            user = await User.create({
+                name,
+                phone,
+                phoneVerified: true,
+                role: role || 'user',
+                location
+            });
+        } else {
+            // Registration and profile edits take any number, so only one the account
+            // holder has confirmed (POST /phone/verify) can sign in to the account
+            if (!user.phoneVerified) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'PHONE_NOT_VERIFIED',
+                    message: 'This number has not been confirmed for its account. Sign in with your ' +
+                        'email and password, then confirm it from your account settings'
+                });
+            }
+
+            await consumeOtp(result.otp);
+
+            const restriction = user.activeRestriction();
+            if (restriction) {
+                return sendAccountRestricted(res, restriction);
+            }
+
+            // The code replaces the password, not the authenticator app
+            if (user.twoFactor && user.twoFactor.enabled) {
+                await clearFailedLogins(phone);
+                return res.status(200).json({
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: signTwoFactorChallenge(user),
+                    message: 'Enter the code from your authenticator app'
+                });
+            }
+        }
+
+        await clearFailedLogins(phone);
+        await recordSuccessfulLogin(user, req);
+        const tokens = await issueTokens(user, req);
+
+        res.status(isNewUser ? 201 : 200).json({
+            success: true,
+            message: isNewUser ? 'Account created successfully' : 'Login successful',
+            ...deliverTokens(req, res, tokens),
+            twoFactorSetupRequired: await twoFactorSetupRequired(user),
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                phone: user.phone,
+                role: user.role,
+                location: user.location,
+                preferences: user.preferences,
+                isVerified: user.isVerified,
+                deletionScheduledFor: user.deletion && user.deletion.scheduledFor,
+                phoneVerified: user.phoneVerified
+            }
+        });
+
+    } catch (error) {
+        console.error('OTP verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Confirm the phone number on the signed-in account with a code sent
+//          to it through POST /otp/request. Only confirmed numbers can sign in.
+// @route   POST /api/auth/phone/verify
+// @access  Private
+router.post('/phone/verify', protect, [
+    body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!req.user.phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Add a phone number to your profile first'
+            });
+        }
+
+        const result = await verifyOtp(req.user.phone, req.body.code);
+        if (!result.valid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired code',
+                attemptsRemaining: result.attemptsRemaining
+            });
+        }
+
+        await consumeOtp(result.otp);
+        await User.updateOne({ _id: req.user._id }, { phoneVerified: true });
+
+        res.status(200).json({
+            success: true,
+            message: 'Phone number confirmed',
+            phone: req.user.phone
+        });
+    } catch (error) {
+        console.error('Phone verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -153,12 +543,19 @@ router.get('/me', protect, async (req, res) => {
                 email: user.email,
                 role: user.role,
                 phone: user.phone,
+                phoneVerified: user.phoneVerified,
                 location: user.location,
                 preferences: user.preferences,
                 profileImage: user.profileImage,
                 isVerified: user.isVerified,
+                deletionScheduledFor: user.deletion && user.deletion.scheduledFor,
+                twoFactorEnabled: user.twoFactor.enabled,
                 createdAt: user.createdAt
-            }
+            },
+            // Set while staff are viewing the app as this user
+            impersonatedBy: req.impersonator
+                ? { id: req.impersonator._id, name: req.impersonator.name }
+                : undefined
         });
     } catch (error) {
         console.error('Get user error:', error);
@@ -186,7 +583,8 @@ router.put('/profile', protect, [
             });
         }
 
-        const allowedFields = ['name', 'phone', 'location', 'preferences', 'profileImage'];
+        // The profile photo is set through POST /profile/image, never by URL
+        const allowedFields = ['name', 'phone', 'location', 'preferences'];
         const updateData = {};
 
         Object.keys(req.body).forEach(key => {
@@ -195,12 +593,41 @@ router.put('/profile', protect, [
             }
         });
 
+        // A new number has to be confirmed with a code before it counts as verified
+        if (updateData.phone !== undefined) {
+            const phone = normalizePhone(updateData.phone);
+            if (phone !== req.user.phone) {
+                if (!phone && !req.user.email) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'You sign in with your phone number, so it cannot be removed'
+                    });
+                }
+                if (phone && await User.exists({ phone, _id: { $ne: req.user.id } })) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'An account already uses this phone number'
+                    });
+                }
+                updateData.phoneVerified = false;
+            }
+            if (!phone) {
+                delete updateData.phone;
+                updateData.$unset = { phone: 1 };
+            }
+        }
+
         const user = await User.findByIdAndUpdate(
             req.user.id,
             updateData,
             { new: true, runValidators: true }
         );
 
+        // A verified artist's badge covers their name
+        if (user.name !== req.user.name) {
+            await revokeVerification(req, await Artist.findOne({ user: user._id }), ['name']);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Profile updated successfully',
@@ -225,4 +652,896 @@ router.put('/profile', protect, [
     }
 });
 
+// @desc    Upload a profile photo, replacing the current one
+// @route   POST /api/auth/profile/image
+// @access  Private
+router.post('/profile/image', protect, imageUpload('image'), async (req, res) => {
+    try {
+        if (!req.files || !req.files.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose an image to upload'
+            });
+        }
+
+        const image = await saveImage(req.files[0].buffer, 'profiles');
+        await User.updateOne({ _id: req.user.id }, { profileImage: image.url });
+        await removeReplacedImages([req.user.profileImage], [image.url], 'profiles');
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile photo updated',
+            data: image
+        });
+    } catch (error) {
+        console.error('Profile image upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Remove the profile photo
+// @route   DELETE /api/auth/profile/image
+// @access  Private
+router.delete('/profile/image', protect, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user.id }, { profileImage: '' });
+        await removeImage(req.user.profileImage, 'profiles');
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile photo removed'
+        });
+    } catch (error) {
+        console.error('Profile image delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+    body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // Same response whether or not the account exists, so the endpoint
+        // can't be used to discover registered emails
+        const genericResponse = {
+            success: true,
+            message: 'If an account exists for that email, a reset link has been sent'
+        };
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+        if (!user) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const resetToken = user.getResetPasswordToken();
+        await user.save({ validateBeforeSave: false });
+
+        const resetUrl = `${getClientUrl(req)}/reset-password/${resetToken}`;
+
+        try {
+            await sendEmail({
+                to: user.email,
+                subject: 'Reset your Kala Sanskriti password',
+                text: `Namaste ${user.name},\n\n` +
+                    `We received a request to reset your password. Open the link below to choose a new one:\n\n` +
+                    `${resetUrl}\n\n` +
+                    `This link expires shortly. If you did not ask for a reset, you can ignore this email.`,
+                html: `<p>Namaste ${escapeHtml(user.name)},</p>` +
+                    `<p>We received a request to reset your password. Click the link below to choose a new one:</p>` +
+                    `<p><a href="${resetUrl}">Reset my password</a></p>` +
+                    `<p>This link expires shortly. If you did not ask for a reset, you can ignore this email.</p>`
+            });
+        } catch (emailError) {
+            console.error('Reset email error:', emailError);
+
+            user.resetPasswordToken = undefined;
+            user.resetPasswordExpire = undefined;
+            await user.save({ validateBeforeSave: false });
+        }
+
+        // A failed send must look the same as an unknown email
+        res.status(200).json(genericResponse);
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Reset password using emailed token
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+router.put('/reset-password/:token', [
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const resetPasswordToken = crypto
+            .createHash('sha256')
+            .update(req.params.token)
+            .digest('hex');
+
+        const user = await User.findOne({
+            resetPasswordToken,
+            resetPasswordExpire: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        user.password = req.body.password;
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        // Following the emailed link proves the user controls the address
+        user.isVerified = true;
+        await user.save();
+
+        // Sign out every existing device; whoever requested the reset may not be the only one with the old password
+        await revokeAllForUser(user._id, 'password_reset');
+        await clearFailedLogins(user.email);
+        await recordAudit(req, {
+            action: 'auth.password_reset',
+            actor: user,
+            targetType: 'User',
+            targetId: user._id
+        });
+
+        // A reset link alone must not get past two-factor authentication
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(200).json({
+                success: true,
+                message: 'Password reset successful, please log in'
+            });
+        }
+
+        const tokens = await issueTokens(user, req);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successful',
+            ...deliverTokens(req, res, tokens),
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                location: user.location,
+                preferences: user.preferences,
+                isVerified: user.isVerified
+            }
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+router.get('/verify/:token', async (req, res) => {
+    try {
+        let decoded;
+        try {
+            decoded = jwt.verify(req.params.token, process.env.EMAIL_VERIFY_SECRET || process.env.JWT_SECRET);
+        } catch (tokenError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification link'
+            });
+        }
+
+        if (decoded.purpose !== 'verify-email') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification link'
+            });
+        }
+
+        const user = await User.findById(decoded.id);
+        if (!user || user.email !== decoded.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification link'
+            });
+        }
+
+        if (!user.isVerified) {
+            user.isVerified = true;
+            await user.save({ validateBeforeSave: false });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/verify/resend
+// @access  Private
+router.post('/verify/resend', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your account has no email address to verify'
+            });
+        }
+
+        if (user.isVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        const cooldownSeconds = parseInt(process.env.EMAIL_VERIFY_RESEND_COOLDOWN, 10) || 60;
+        if (user.verificationEmailSentAt) {
+            const elapsed = (Date.now() - user.verificationEmailSentAt.getTime()) / 1000;
+            if (elapsed < cooldownSeconds) {
+                const retryAfter = Math.ceil(cooldownSeconds - elapsed);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: `Please wait ${retryAfter} seconds before requesting another email`,
+                    retryAfter
+                });
+            }
+        }
+
+        try {
+            await sendVerificationEmail(user, req);
+        } catch (emailError) {
+            console.error('Verification email error:', emailError);
+            return res.status(500).json({
+                success: false,
+                message: 'Email could not be sent'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification email sent'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+    try {
+        // Cookie-mode clients send the refresh token as an HttpOnly cookie
+        const fromCookie = !req.body?.refreshToken && !!req.cookies.refreshToken;
+        const refreshToken = req.body?.refreshToken || req.cookies.refreshToken;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const rotated = await rotateRefreshToken(refreshToken, req);
+        if (!rotated) {
+            if (fromCookie) {
+                clearAuthCookies(res);
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        if (fromCookie) {
+            setAuthCookies(res, rotated);
+            return res.status(200).json({
+                success: true,
+                authMode: 'cookie'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            token: rotated.token,
+            refreshToken: rotated.refreshToken
+        });
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Log out the current device
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+    try {
+        await revokeFamily(req.sessionFamily, 'logout');
+        clearAuthCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Log out every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        await revokeAllForUser(req.user._id, 'logout_all');
+        clearAuthCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out from all devices'
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    List devices with an active login
+// @route   GET /api/auth/devices
+// @access  Private
+router.get('/devices', protect, async (req, res) => {
+    try {
+        const tokens = await RefreshToken.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ createdAt: -1 });
+
+        const devices = tokens.map(t => ({
+            id: t.family,
+            userAgent: t.userAgent,
+            ip: t.ip,
+            signedInAt: t.familyCreatedAt,
+            lastUsedAt: t.lastUsedAt || t.createdAt,
+            expiresAt: t.expiresAt,
+            current: t.family === req.sessionFamily
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: devices.length,
+            data: devices
+        });
+    } catch (error) {
+        console.error('Get devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get recent login history
+// @route   GET /api/auth/login-history
+// @access  Private
+router.get('/login-history', protect, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+        const events = await LoginEvent.find({ user: req.user._id })
+            .select('-deviceHash')
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.status(200).json({
+            success: true,
+            count: events.length,
+            data: events
+        });
+    } catch (error) {
+        console.error('Get login history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Log out a specific device
+// @route   DELETE /api/auth/devices/:id
+// @access  Private
+router.delete('/devices/:id', protect, async (req, res) => {
+    try {
+        const device = await RefreshToken.exists({ user: req.user._id, family: req.params.id });
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        await revokeFamily(req.params.id, 'revoked');
+
+        res.status(200).json({
+            success: true,
+            message: 'Device logged out successfully'
+        });
+    } catch (error) {
+        console.error('Revoke device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Complete a two-step login with an authenticator or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+router.post('/2fa/verify', [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body().custom(value => {
+        if (!value.code && !value.recoveryCode) {
+            throw new Error('An authenticator code or recovery code is required');
+        }
+        return true;
+    })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+        } catch (tokenError) {
+            decoded = null;
+        }
+
+        if (!decoded || decoded.purpose !== '2fa-login') {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge expired, please log in again'
+            });
+        }
+
+        const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+        // The account may have been deleted since the password step
+        if (!user || user.status === 'deleted' || !user.twoFactor.enabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge expired, please log in again'
+            });
+        }
+
+        // Guessing codes counts against the same per-account limit as passwords
+        const allowed = await checkLoginAllowed(loginIdentifier(user));
+        if (!allowed.allowed) {
+            return sendLoginBlocked(res, allowed);
+        }
+
+        if (!checkSecondFactor(user, req.body)) {
+            await recordFailedLogin(loginIdentifier(user), req, { user, reason: 'bad_2fa' });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+        await user.save({ validateBeforeSave: false });
+
+        // Same check as the password step: the account may have been banned in between
+        const restriction = user.activeRestriction();
+        if (restriction) {
+            return sendAccountRestricted(res, restriction);
+        }
+
+        await recordSuccessfulLogin(user, req);
+        const tokens = await issueTokens(user, req);
+
+        res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            ...deliverTokens(req, res, tokens),
+            recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                location: user.location,
+                preferences: user.preferences,
+                isVerified: user.isVerified,
+                deletionScheduledFor: user.deletion && user.deletion.scheduledFor
+            }
+        });
+
+    } catch (error) {
+        console.error('2FA verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: {
+                secret,
+                otpauthUrl: buildOtpauthUri({
+                    secret,
+                    account: user.email || user.phone,
+                    issuer: TWO_FACTOR_ISSUER
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Confirm enrolment with a first code and receive recovery codes
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+router.post('/2fa/confirm', protect, [
+    body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+
+        const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+        await user.save({ validateBeforeSave: false });
+        await recordAudit(req, {
+            action: 'auth.two_factor_enabled',
+            targetType: 'User',
+            targetId: user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe',
+            data: { recoveryCodes }
+        });
+
+    } catch (error) {
+        console.error('2FA confirm error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, [
+    body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const policy = await SecurityPolicy.getPolicy();
+        if (policy.twoFactorRequiredRoles.includes(user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for your role'
+            });
+        }
+
+        const isMatch = await user.matchPassword(req.body.password);
+        if (!isMatch || !checkSecondFactor(user, req.body)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or authentication code'
+            });
+        }
+
+        user.twoFactor = { enabled: false };
+        await user.save({ validateBeforeSave: false });
+        await recordAudit(req, {
+            action: 'auth.two_factor_disabled',
+            targetType: 'User',
+            targetId: user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, [
+    body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!checkSecondFactor(user, { code: req.body.code })) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated; the old ones no longer work',
+            data: { recoveryCodes }
+        });
+
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get roles that must use two-factor authentication
+// @route   GET /api/auth/2fa/policy
+// @access  Private (security:manage)
+router.get('/2fa/policy', protect, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const policy = await SecurityPolicy.getPolicy();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                requiredRoles: policy.twoFactorRequiredRoles,
+                updatedAt: policy.updatedAt
+            }
+        });
+    } catch (error) {
+        console.error('Get 2FA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Set roles that must use two-factor authentication
+// @route   PUT /api/auth/2fa/policy
+// @access  Private (security:manage)
+router.put('/2fa/policy', protect, requirePermission('security:manage'), [
+    body('requiredRoles').isArray().withMessage('requiredRoles must be an array'),
+    body('requiredRoles.*').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // Don't lock the acting admin out of the admin endpoints
+        if (req.body.requiredRoles.includes(req.user.role) && !req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Enable two-factor authentication on your own account before requiring it for your role'
+            });
+        }
+
+        const previous = await SecurityPolicy.getPolicy();
+        const previousRoles = [...previous.twoFactorRequiredRoles];
+
+        const policy = await SecurityPolicy.findOneAndUpdate(
+            { key: 'default' },
+            {
+                twoFactorRequiredRoles: [...new Set(req.body.requiredRoles)],
+                updatedBy: req.user.id,
+                updatedAt: Date.now()
+            },
+            { new: true, upsert: true, runValidators: true }
+        );
+        SecurityPolicy.clearCache();
+
+        await recordAudit(req, {
+            action: 'security.two_factor_policy_updated',
+            targetType: 'SecurityPolicy',
+            targetId: policy._id,
+            changes: [{
+                field: 'twoFactorRequiredRoles',
+                before: previousRoles,
+                after: [...policy.twoFactorRequiredRoles]
+            }]
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor policy updated',
+            data: {
+                requiredRoles: policy.twoFactorRequiredRoles,
+                updatedAt: policy.updatedAt
+            }
+        });
+    } catch (error) {
+        console.error('Update 2FA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
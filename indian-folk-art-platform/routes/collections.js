@@ -0,0 +1,505 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Collection = require('../models/Collection');
+const Product = require('../models/Product');
+const Artist = require('../models/Artist');
+const { protect, identifyUser, checkOwnership } = require('../middleware/auth');
+const { applyPrivacy } = require('../utils/privacy');
+
+const router = express.Router();
+
+const MAX_COLLECTIONS = 50;
+const MAX_ITEMS = 200;
+
+const ITEM_MODELS = {
+    product: { kind: 'Product', model: Product },
+    artist: { kind: 'Artist', model: Artist }
+};
+
+// Collections are only ever visible to their owner, except through the share link
+const collectionOwnership = checkOwnership({
+    load: req => Collection.findById(req.params.id),
+    owner: collection => collection.owner,
+    notFoundMessage: 'Collection not found',
+    forbiddenMessage: 'Not authorized to access this collection'
+});
+
+const shareUrl = (req, collection) => {
+    if (!collection.shareToken) {
+        return null;
+    }
+    const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl}/api/collections/shared/${collection.shareToken}`;
+};
+
+// Fields shown for saved items; each kind only has some of them
+const ITEM_FIELDS = 'title images price status artform category seller ' +
+    'user specializations location ratings isVerified isActive followerCount';
+
+// Saved artists follow their owners' privacy settings for the viewer
+const populateItems = async (req, collection) => {
+    await collection.populate({
+        path: 'items.item',
+        select: ITEM_FIELDS,
+        // Only artists have a user; products skip this step
+        populate: { path: 'user', select: 'name profileImage', strictPopulate: false }
+    });
+    await applyPrivacy(req, {
+        artists: collection.items.filter(entry => entry.kind === 'Artist').map(entry => entry.item)
+    });
+    return collection;
+};
+
+// What changed on a saved product since it was saved or last marked as seen
+const productChanges = (entry) => {
+    const product = entry.item;
+    const changes = [];
+    const price = product.price && product.price.amount;
+
+    if (entry.savedPrice != null && price != null && price < entry.savedPrice) {
+        changes.push({
+            type: 'price_drop',
+            from: entry.savedPrice,
+            to: price,
+            percent: Math.round((1 - price / entry.savedPrice) * 100)
+        });
+    }
+
+    if (entry.savedStatus && entry.savedStatus !== product.status) {
+        const type = product.status === 'sold_out'
+            ? 'sold_out'
+            : product.status === 'active' ? 'back_in_stock' : 'unavailable';
+        changes.push({ type, from: entry.savedStatus, to: product.status });
+    }
+
+    return changes;
+};
+
+const formatItem = (entry, { includeChanges }) => {
+    const item = {
+        id: entry._id,
+        type: entry.kind.toLowerCase(),
+        note: entry.note,
+        addedAt: entry.addedAt,
+        // Null once the product or artist has been removed
+        data: entry.item && entry.item._id ? entry.item : null
+    };
+
+    if (includeChanges && item.type === 'product') {
+        item.changes = item.data ? productChanges(entry) : [{ type: 'removed' }];
+    }
+
+    return item;
+};
+
+const formatCollection = (req, collection, { includeChanges = true } = {}) => {
+    const items = collection.items.map(entry => formatItem(entry, { includeChanges }));
+
+    return {
+        id: collection._id,
+        name: collection.name,
+        description: collection.description,
+        shared: !!collection.shareToken,
+        shareUrl: includeChanges ? shareUrl(req, collection) : undefined,
+        itemCount: items.length,
+        changeCount: includeChanges
+            ? items.filter(item => item.changes && item.changes.length).length
+            : undefined,
+        items,
+        createdAt: collection.createdAt,
+        updatedAt: collection.updatedAt
+    };
+};
+
+// Remember the current price and status, so only later changes are reported
+const snapshotProduct = (entry, product) => {
+    entry.savedPrice = product.price && product.price.amount;
+    entry.savedStatus = product.status;
+};
+
+// @desc    Get the current user's collections
+// @route   GET /api/collections
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const collections = await Collection.find({ owner: req.user._id }).sort('-updatedAt');
+        await Promise.all(collections.map(collection => populateItems(req, collection)));
+
+        res.status(200).json({
+            success: true,
+            count: collections.length,
+            data: collections.map(collection => formatCollection(req, collection))
+        });
+    } catch (error) {
+        console.error('Get collections error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    View a shared collection
+// @route   GET /api/collections/shared/:token
+// @access  Public (share link)
+router.get('/shared/:token', identifyUser, async (req, res) => {
+    try {
+        const collection = await Collection.findOne({ shareToken: req.params.token })
+            .populate('owner', 'name');
+
+        if (!collection) {
+            return res.status(404).json({
+                success: false,
+                message: 'This collection is not shared or the link has changed'
+            });
+        }
+
+        await populateItems(req, collection);
+
+        // Hide anything the public couldn't see elsewhere
+        collection.items = collection.items.filter(entry => entry.item && entry.item._id && (
+            entry.kind === 'Product' ? ['active', 'sold_out'].includes(entry.item.status) : entry.item.isActive
+        ));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...formatCollection(req, collection, { includeChanges: false }),
+                owner: { name: collection.owner && collection.owner.name }
+            }
+        });
+    } catch (error) {
+        console.error('Get shared collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Create a collection
+// @route   POST /api/collections
+// @access  Private
+router.post('/', protect, [
+    body('name').trim().notEmpty().withMessage('Name is required')
+        .isLength({ max: 80 }).withMessage('Name must be 80 characters or fewer'),
+    body('description').optional().isLength({ max: 500 }).withMessage('Description must be 500 characters or fewer')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (await Collection.countDocuments({ owner: req.user._id }) >= MAX_COLLECTIONS) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_COLLECTIONS} collections`
+            });
+        }
+
+        if (await Collection.exists({ owner: req.user._id, name: req.body.name })) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have a collection with this name'
+            });
+        }
+
+        const collection = await Collection.create({
+            owner: req.user._id,
+            name: req.body.name,
+            description: req.body.description
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Collection created',
+            data: formatCollection(req, collection)
+        });
+    } catch (error) {
+        console.error('Create collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get a collection, with price and availability changes on saved products
+// @route   GET /api/collections/:id
+// @access  Private (owner)
+router.get('/:id', protect, collectionOwnership, async (req, res) => {
+    try {
+        await populateItems(req, req.resource);
+
+        res.status(200).json({
+            success: true,
+            data: formatCollection(req, req.resource)
+        });
+    } catch (error) {
+        console.error('Get collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Rename a collection or change its description
+// @route   PUT /api/collections/:id
+// @access  Private (owner)
+router.put('/:id', protect, collectionOwnership, [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+        .isLength({ max: 80 }).withMessage('Name must be 80 characters or fewer'),
+    body('description').optional().isLength({ max: 500 }).withMessage('Description must be 500 characters or fewer')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const collection = req.resource;
+
+        if (req.body.name && req.body.name !== collection.name &&
+            await Collection.exists({ owner: req.user._id, name: req.body.name })) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have a collection with this name'
+            });
+        }
+
+        ['name', 'description'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                collection[field] = req.body[field];
+            }
+        });
+        await collection.save();
+        await populateItems(req, collection);
+
+        res.status(200).json({
+            success: true,
+            message: 'Collection updated',
+            data: formatCollection(req, collection)
+        });
+    } catch (error) {
+        console.error('Update collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete a collection
+// @route   DELETE /api/collections/:id
+// @access  Private (owner)
+router.delete('/:id', protect, collectionOwnership, async (req, res) => {
+    try {
+        await Collection.deleteOne({ _id: req.resource._id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Collection deleted'
+        });
+    } catch (error) {
+        console.error('Delete collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Share a collection. Always issues a new link, so calling it again
+//          stops the previous link from working.
+// @route   POST /api/collections/:id/share
+// @access  Private (owner)
+router.post('/:id/share', protect, collectionOwnership, async (req, res) => {
+    try {
+        const collection = req.resource;
+        collection.share();
+        await collection.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Anyone with the link can now view this collection',
+            data: {
+                shared: true,
+                shareUrl: shareUrl(req, collection)
+            }
+        });
+    } catch (error) {
+        console.error('Share collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Make a shared collection private again
+// @route   DELETE /api/collections/:id/share
+// @access  Private (owner)
+router.delete('/:id/share', protect, collectionOwnership, async (req, res) => {
+    try {
+        const collection = req.resource;
+        collection.unshare();
+        await collection.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Collection is private',
+            data: {
+                shared: false
+            }
+        });
+    } catch (error) {
+        console.error('Unshare collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Save a product or artist to a collection
+// @route   POST /api/collections/:id/items
+// @access  Private (owner)
+router.post('/:id/items', protect, collectionOwnership, [
+    body('type').isIn(Object.keys(ITEM_MODELS)).withMessage('Type must be product or artist'),
+    body('id').isMongoId().withMessage('A valid id is required'),
+    body('note').optional().isLength({ max: 200 }).withMessage('Note must be 200 characters or fewer')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const collection = req.resource;
+        const { kind, model } = ITEM_MODELS[req.body.type];
+
+        const target = await model.findById(req.body.id);
+        const available = target && (kind === 'Product' ? target.status !== 'inactive' : target.isActive);
+        if (!available) {
+            return res.status(404).json({
+                success: false,
+                message: `${kind} not found`
+            });
+        }
+
+        if (collection.items.some(entry => entry.kind === kind && entry.item.equals(target._id))) {
+            return res.status(400).json({
+                success: false,
+                message: `This ${req.body.type} is already in the collection`
+            });
+        }
+
+        if (collection.items.length >= MAX_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                message: `A collection can hold at most ${MAX_ITEMS} items`
+            });
+        }
+
+        collection.items.push({ kind, item: target._id, note: req.body.note });
+        const entry = collection.items[collection.items.length - 1];
+        if (kind === 'Product') {
+            snapshotProduct(entry, target);
+        }
+        await collection.save();
+        await populateItems(req, collection);
+
+        res.status(201).json({
+            success: true,
+            message: `Saved to ${collection.name}`,
+            data: formatCollection(req, collection)
+        });
+    } catch (error) {
+        console.error('Add collection item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Remove an item from a collection
+// @route   DELETE /api/collections/:id/items/:itemId
+// @access  Private (owner)
+router.delete('/:id/items/:itemId', protect, collectionOwnership, async (req, res) => {
+    try {
+        const collection = req.resource;
+        const entry = collection.items.id(req.params.itemId);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found in this collection'
+            });
+        }
+
+        collection.items.pull(entry._id);
+        await collection.save();
+        await populateItems(req, collection);
+
+        res.status(200).json({
+            success: true,
+            message: 'Removed from collection',
+            data: formatCollection(req, collection)
+        });
+    } catch (error) {
+        console.error('Remove collection item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Mark price and availability changes as seen
+// @route   POST /api/collections/:id/seen
+// @access  Private (owner)
+router.post('/:id/seen', protect, collectionOwnership, async (req, res) => {
+    try {
+        const collection = req.resource;
+        await populateItems(req, collection);
+
+        collection.items.forEach(entry => {
+            if (entry.kind === 'Product' && entry.item && entry.item._id) {
+                snapshotProduct(entry, entry.item);
+            }
+        });
+        // Save ids, not the populated documents
+        collection.depopulate('items.item');
+        await collection.save();
+        await populateItems(req, collection);
+
+        res.status(200).json({
+            success: true,
+            message: 'Changes marked as seen',
+            data: formatCollection(req, collection)
+        });
+    } catch (error) {
+        console.error('Mark collection seen error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
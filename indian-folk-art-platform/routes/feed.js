@@ -0,0 +1,221 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Artist = require('../models/Artist');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const Follow = require('../models/Follow');
+const { protect } = require('../middleware/auth');
+const { applyPrivacy } = require('../utils/privacy');
+
+const router = express.Router();
+
+// Items are ordered newest first, then by type and id so equal dates have a stable order
+const sortKey = (item) => `${item.type}:${item.id}`;
+
+const compareItems = (a, b) => {
+    if (b.date - a.date) {
+        return b.date - a.date;
+    }
+    return sortKey(a) < sortKey(b) ? 1 : -1;
+};
+
+// A cursor is the position of the last item returned
+const encodeCursor = (item) => {
+    return Buffer.from(JSON.stringify({ d: item.date.toISOString(), k: sortKey(item) })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const { d, k } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        const date = new Date(d);
+        const [type, id] = String(k).split(':');
+        if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+            return null;
+        }
+        return { date, type, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Condition for items of `type` that sort after the cursor. Sources are
+// sorted by date then id, both descending, to match compareItems.
+const afterCursor = (type, cursor, dateField, idField) => {
+    if (!cursor) {
+        return {};
+    }
+    if (type === cursor.type) {
+        return {
+            $or: [
+                { [dateField]: { $lt: cursor.date } },
+                { [dateField]: cursor.date, [idField]: { $lt: cursor.id } }
+            ]
+        };
+    }
+    return { [dateField]: type < cursor.type ? { $lte: cursor.date } : { $lt: cursor.date } };
+};
+
+const artistSummary = (artist) => ({
+    id: artist._id,
+    name: artist.user && artist.user.name,
+    profileImage: artist.user && artist.user.profileImage,
+    isVerified: artist.isVerified
+});
+
+// Each source returns its first `limit` items after the cursor
+const portfolioItems = async (artistIds, cursor, limit) => {
+    const results = await Artist.aggregate([
+        { $match: { _id: { $in: artistIds } } },
+        { $unwind: '$portfolio' },
+        { $match: { 'portfolio.visibility': { $ne: 'unlisted' } } },
+        { $match: afterCursor('portfolio', cursor, 'portfolio.createdAt', 'portfolio._id') },
+        { $sort: { 'portfolio.createdAt': -1, 'portfolio._id': -1 } },
+        { $limit: limit },
+        { $project: { item: '$portfolio' } }
+    ]);
+
+    return results.map(({ _id, item }) => ({
+        type: 'portfolio',
+        id: item._id,
+        date: item.createdAt,
+        artistId: _id,
+        data: item
+    }));
+};
+
+const productItems = async (artistIds, cursor, limit) => {
+    const products = await Product.find({
+        seller: { $in: artistIds },
+        status: 'active',
+        ...afterCursor('product', cursor, 'createdAt', '_id')
+    })
+        .select('title description category artform images price status createdAt seller')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit);
+
+    return products.map(product => ({
+        type: 'product',
+        id: product._id,
+        date: product.createdAt,
+        artistId: product.seller,
+        data: product
+    }));
+};
+
+// Upcoming workshops that still have places
+const workshopItems = async (artistIds, cursor, limit) => {
+    const workshops = await Session.find({
+        artist: { $in: artistIds },
+        sessionType: 'workshop',
+        status: { $in: ['pending', 'confirmed'] },
+        scheduledDate: { $gt: new Date() },
+        $expr: { $lt: ['$currentParticipants', '$maxParticipants'] },
+        ...afterCursor('workshop', cursor, 'createdAt', '_id')
+    })
+        .select('title description scheduledDate duration format location.city location.state pricing maxParticipants currentParticipants artist createdAt')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit);
+
+    return workshops.map(workshop => ({
+        type: 'workshop',
+        id: workshop._id,
+        date: workshop.createdAt,
+        artistId: workshop.artist,
+        data: workshop
+    }));
+};
+
+// @desc    New portfolio items, products and open workshops from followed artists
+// @route   GET /api/feed?cursor=&limit=
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        if (req.query.cursor && !cursor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        const follows = await Follow.find({ follower: req.user._id }).select('artist');
+        const artists = await Artist.find({
+            _id: { $in: follows.map(follow => follow.artist) },
+            isActive: true
+        })
+            .select('user isVerified')
+            .populate('user', 'name profileImage');
+
+        const artistsById = new Map(artists.map(artist => [artist._id.toString(), artist]));
+        const artistIds = artists.map(artist => artist._id);
+
+        // One extra item tells us whether there is another page
+        const sources = await Promise.all([
+            portfolioItems(artistIds, cursor, limit + 1),
+            productItems(artistIds, cursor, limit + 1),
+            workshopItems(artistIds, cursor, limit + 1)
+        ]);
+
+        const merged = sources.flat()
+            .filter(item => item.date)
+            .sort(compareItems);
+        const page = merged.slice(0, limit);
+
+        res.status(200).json({
+            success: true,
+            count: page.length,
+            nextCursor: merged.length > limit ? encodeCursor(page[page.length - 1]) : null,
+            data: page.map(({ artistId, ...item }) => ({
+                ...item,
+                artist: artistSummary(artistsById.get(artistId.toString()))
+            }))
+        });
+    } catch (error) {
+        console.error('Get feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Artists the current user follows
+// @route   GET /api/feed/following
+// @access  Private
+router.get('/following', protect, async (req, res) => {
+    try {
+        const follows = await Follow.find({ follower: req.user._id })
+            .populate({
+                path: 'artist',
+                select: 'user specializations location followerCount isVerified isActive',
+                populate: {
+                    path: 'user',
+                    select: 'name profileImage'
+                }
+            })
+            .sort({ createdAt: -1 });
+
+        const following = follows
+            .filter(follow => follow.artist && follow.artist.isActive)
+            .map(follow => ({
+                artist: follow.artist,
+                followedAt: follow.createdAt
+            }));
+        await applyPrivacy(req, { artists: following.map(follow => follow.artist) });
+
+        res.status(200).json({
+            success: true,
+            count: following.length,
+            data: following
+        });
+    } catch (error) {
+        console.error('Get following error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
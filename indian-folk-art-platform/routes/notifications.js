@@ -0,0 +1,198 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } = require('../config/notifications');
+const { channelsFor } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Every type with its description and the channels in effect for the user
+const preferencesFor = (user) => Object.entries(NOTIFICATION_TYPES).map(([type, { description }]) => ({
+    type,
+    description,
+    channels: channelsFor(user, type)
+}));
+
+// @desc    Get the current user's notifications, newest first
+// @route   GET /api/notifications?unread=true&page=&limit=
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const query = { user: req.user._id };
+        if (req.query.unread === 'true') {
+            query.readAt = null;
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+        const notifications = await Notification.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .skip((page - 1) * limit);
+
+        const [total, unreadCount] = await Promise.all([
+            Notification.countDocuments(query),
+            Notification.countDocuments({ user: req.user._id, readAt: null })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: notifications.length,
+            total,
+            unreadCount,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            data: notifications
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Number of unread notifications, for the bell badge
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+    try {
+        const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+        res.status(200).json({
+            success: true,
+            data: { unreadCount }
+        });
+    } catch (error) {
+        console.error('Get unread count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { user: req.user._id, readAt: null },
+            { readAt: new Date() }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'All notifications marked as read',
+            data: { updated: result.modifiedCount }
+        });
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: preferencesFor(req.user)
+    });
+});
+
+// @desc    Turn channels on or off per type, e.g. { preferences: { booking_received: { email: false } } }
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', protect, [
+    body('preferences').isObject().withMessage('preferences must be an object of types'),
+    body('preferences').custom(preferences => {
+        for (const [type, channels] of Object.entries(preferences)) {
+            if (!NOTIFICATION_TYPES[type]) {
+                throw new Error(`Unknown notification type: ${type}`);
+            }
+            if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+                throw new Error(`Channels for ${type} must be an object`);
+            }
+            for (const [channel, enabled] of Object.entries(channels)) {
+                if (!NOTIFICATION_CHANNELS.includes(channel)) {
+                    throw new Error(`Unknown channel for ${type}: ${channel}`);
+                }
+                if (typeof enabled !== 'boolean') {
+                    throw new Error(`${type}.${channel} must be true or false`);
+                }
+            }
+        }
+        return true;
+    })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = req.user;
+        for (const [type, channels] of Object.entries(req.body.preferences)) {
+            user.notificationPreferences.set(type, { ...channelsFor(user, type), ...channels });
+        }
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences updated',
+            data: preferencesFor(user)
+        });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            data: notification
+        });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,50 +1,72 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
-const { protect, authorize } = require('../middleware/auth');
+const ItemView = require('../models/ItemView');
+const { protect, identifyUser, requireVerified, requirePermission, checkOwnership } = require('../middleware/auth');
+const { allowApiKey } = require('../middleware/apiKey');
+const { diffFields, recordAudit } = require('../utils/audit');
+const { applyPrivacy } = require('../utils/privacy');
+const { buildProductQuery } = require('../utils/searchQueries');
+const { saveImage, removeImage, removeReplacedImages, foreignUploads } = require('../utils/images');
+const { imageUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
+// Most images a single product can have
+const MAX_PRODUCT_IMAGES = 10;
+
+const imageUrls = (product) => (product.images || []).map(image => image.url);
+
+// What a seller can set on a product. The rest (seller, ratings, views, ...) is
+// kept by the app, and update operators such as $set never reach the model.
+const PRODUCT_FIELDS = [
+    'title', 'description', 'category', 'artform', 'images', 'price', 'dimensions',
+    'materials', 'techniques', 'customization', 'inventory', 'shipping', 'status', 'tags'
+];
+
+const productFields = (body) => PRODUCT_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+        fields[field] = body[field];
+    }
+    return fields;
+}, {});
+
+// `images` can reorder a product's uploaded images or change their alt text and
+// primary flag; new uploads go through POST /:id/images. Responds and returns
+// true when it refers to an uploaded file that isn't on the product.
+const rejectForeignImages = (res, fields, product) => {
+    const urls = [].concat(fields.images || []).map(image => image && image.url);
+    if (!foreignUploads(urls, product ? imageUrls(product) : []).length) {
+        return false;
+    }
+    res.status(400).json({
+        success: false,
+        message: 'Images must be uploaded through POST /api/products/:id/images'
+    });
+    return true;
+};
+
+// Products belong to the user behind the seller's artist profile
+const productOwnership = (permission, action) => checkOwnership({
+    load: req => Product.findById(req.params.id).populate('seller'),
+    owner: product => product.seller && product.seller.user,
+    permission,
+    notFoundMessage: 'Product not found',
+    forbiddenMessage: `Not authorized to ${action} this product`
+});
+
 // @desc    Get all products with filtering and search
 // @route   GET /api/products
-// @access  Public
-router.get('/', async (req, res) => {
+// @access  Public (or API key with products:read)
+router.get('/', allowApiKey('products:read'), identifyUser, async (req, res) => {
     try {
         const {
-            category,
-            artform,
-            minPrice,
-            maxPrice,
-            search,
-            featured,
             page = 1,
             limit = 12,
             sort = 'createdAt'
         } = req.query;
 
-        // Build query object
-        let query = { status: 'active' };
-
-        if (category) {
-            query.category = category;
-        }
-
-        if (artform) {
-            query.artform = artform;
-        }
-
-        if (minPrice || maxPrice) {
-            query['price.amount'] = {};
-            if (minPrice) query['price.amount'].$gte = parseFloat(minPrice);
-            if (maxPrice) query['price.amount'].$lte = parseFloat(maxPrice);
-        }
-
-        if (featured === 'true') {
-            query.featured = true;
-        }
-
-        if (search) {
-            query.$text = { $search: search };
-        }
+        const query = buildProductQuery(req.query);
 
         // Sort options
         const sortOptions = {
@@ -68,6 +90,7 @@ router.get('/', async (req, res) => {
             .skip((page - 1) * limit);
 
         const total = await Product.countDocuments(query);
+        await applyPrivacy(req, { artists: products.map(product => product.seller) });
 
         res.status(200).json({
             success: true,
@@ -88,8 +111,8 @@ router.get('/', async (req, res) => {
 
 // @desc    Get product by ID
 // @route   GET /api/products/:id
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public (or API key with products:read); logged-in views count towards recommendations
+router.get('/:id', allowApiKey('products:read'), identifyUser, async (req, res) => {
     try {
         const product = await Product.findById(req.params.id)
             .populate({
@@ -110,6 +133,8 @@ router.get('/:id', async (req, res) => {
         // Increment view count
         product.views += 1;
         await product.save();
+        await ItemView.record(req.user, 'Product', product);
+        await applyPrivacy(req, { artists: [product.seller] });
 
         res.status(200).json({
             success: true,
@@ -126,8 +151,8 @@ router.get('/:id', async (req, res) => {
 
 // @desc    Create product
 // @route   POST /api/products
-// @access  Private (Artist only)
-router.post('/', protect, authorize('artist', 'admin'), async (req, res) => {
+// @access  Private (Artist only, verified email)
+router.post('/', protect, requirePermission('product:create'), requireVerified, async (req, res) => {
     try {
         // Find artist profile
         const Artist = require('../models/Artist');
@@ -140,9 +165,14 @@ router.post('/', protect, authorize('artist', 'admin'), async (req, res) => {
             });
         }
 
+        const fields = productFields(req.body);
+        if (rejectForeignImages(res, fields)) {
+            return;
+        }
+
         const product = await Product.create({
-            seller: artist._id,
-            ...req.body
+            ...fields,
+            seller: artist._id
         });
 
         const populatedProduct = await Product.findById(product._id)
@@ -171,28 +201,23 @@ router.post('/', protect, authorize('artist', 'admin'), async (req, res) => {
 // @desc    Update product
 // @route   PUT /api/products/:id
 // @access  Private
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, productOwnership('product:update:any', 'update'), async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id).populate('seller');
-
-        if (!product) {
-            return res.status(404).json({
-                success: false,
-                message: 'Product not found'
-            });
+        const updates = productFields(req.body);
+        if (rejectForeignImages(res, updates, req.resource)) {
+            return;
         }
 
-        // Check ownership or admin
-        if (product.seller.user.toString() !== req.user.id && req.user.role !== 'admin') {
+        if (updates.status && req.resource.moderation && req.resource.moderation.hidden) {
             return res.status(403).json({
                 success: false,
-                message: 'Not authorized to update this product'
+                message: 'This product was hidden by a moderator and cannot be relisted'
             });
         }
 
         const updatedProduct = await Product.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            updates,
             { new: true, runValidators: true }
         ).populate({
             path: 'seller',
@@ -202,6 +227,29 @@ router.put('/:id', protect, async (req, res) => {
             }
         });
 
+        // Price changes are always audited; other edits only when staff override the owner
+        const priceChanges = diffFields(req.resource, updatedProduct, ['price.amount', 'price.currency']);
+        if (priceChanges.length) {
+            await recordAudit(req, {
+                action: 'product.price_changed',
+                targetType: 'Product',
+                targetId: updatedProduct._id,
+                changes: priceChanges
+            });
+        }
+        if (!req.isResourceOwner) {
+            await recordAudit(req, {
+                action: 'product.updated',
+                targetType: 'Product',
+                targetId: updatedProduct._id,
+                changes: diffFields(req.resource, updatedProduct, Object.keys(updates))
+            });
+        }
+
+        if (updates.images) {
+            await removeReplacedImages(imageUrls(req.resource), imageUrls(updatedProduct), 'products');
+        }
+
         res.status(200).json({
             success: true,
             message: 'Product updated successfully',
@@ -216,13 +264,24 @@ router.put('/:id', protect, async (req, res) => {
     }
 });
 
-// @desc    Delete product
-// @route   DELETE /api/products/:id
-// @access  Private
-router.delete('/:id', protect, async (req, res) => {
+// @desc    Hide a product from the catalog, or restore it. Hiding needs a reason.
+// @route   PUT /api/products/:id/moderation
+// @access  Private (product:moderate)
+router.put('/:id/moderation', protect, requirePermission('product:moderate'), [
+    body('hidden').isBoolean().withMessage('hidden must be true or false'),
+    body('reason').if(body('hidden').equals('true')).trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id).populate('seller');
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
 
+        const product = await Product.findById(req.params.id);
         if (!product) {
             return res.status(404).json({
                 success: false,
@@ -230,15 +289,53 @@ router.delete('/:id', protect, async (req, res) => {
             });
         }
 
-        // Check ownership or admin
-        if (product.seller.user.toString() !== req.user.id && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to delete this product'
-            });
-        }
+        const hidden = req.body.hidden === true || req.body.hidden === 'true';
+        product.status = hidden ? 'inactive' : 'active';
+        product.moderation = hidden
+            ? { hidden: true, reason: req.body.reason, by: req.user._id, at: new Date() }
+            : { hidden: false };
+        await product.save({ validateBeforeSave: false });
+
+        await recordAudit(req, {
+            action: hidden ? 'product.hidden' : 'product.restored',
+            targetType: 'Product',
+            targetId: product._id,
+            metadata: req.body.reason ? { reason: req.body.reason } : undefined
+        });
 
+        res.status(200).json({
+            success: true,
+            message: hidden ? 'Product hidden' : 'Product restored',
+            data: {
+                id: product._id,
+                status: product.status,
+                moderation: product.moderation
+            }
+        });
+    } catch (error) {
+        console.error('Moderate product error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete product
+// @route   DELETE /api/products/:id
+// @access  Private
+router.delete('/:id', protect, productOwnership('product:delete:any', 'delete'), async (req, res) => {
+    try {
+        const product = req.resource;
         await Product.findByIdAndDelete(req.params.id);
+        await removeReplacedImages(imageUrls(product), [], 'products');
+
+        await recordAudit(req, {
+            action: 'product.deleted',
+            targetType: 'Product',
+            targetId: product._id,
+            metadata: { title: product.title, seller: product.seller && product.seller._id, price: product.price }
+        });
 
         res.status(200).json({
             success: true,
@@ -253,10 +350,110 @@ router.delete('/:id', protect, async (req, res) => {
     }
 });
 
+// @desc    Upload product images
+// @route   POST /api/products/:id/images
+// @access  Private
+router.post('/:id/images', protect, productOwnership('product:update:any', 'update'), imageUpload('images', MAX_PRODUCT_IMAGES), async (req, res) => {
+    try {
+        const product = req.resource;
+        const files = req.files || [];
+
+        if (!files.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose at least one image to upload'
+            });
+        }
+        if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+            return res.status(400).json({
+                success: false,
+                message: `A product can have at most ${MAX_PRODUCT_IMAGES} images`
+            });
+        }
+
+        const hasPrimary = product.images.some(image => image.isPrimary);
+        for (const [index, file] of files.entries()) {
+            const image = await saveImage(file.buffer, 'products');
+            product.images.push({
+                url: image.url,
+                alt: req.body.alt || product.title,
+                isPrimary: !hasPrimary && index === 0
+            });
+        }
+        await product.save();
+
+        if (!req.isResourceOwner) {
+            await recordAudit(req, {
+                action: 'product.updated',
+                targetType: 'Product',
+                targetId: product._id,
+                metadata: { imagesAdded: files.length }
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${files.length} image${files.length === 1 ? '' : 's'} added`,
+            data: product.images
+        });
+    } catch (error) {
+        console.error('Upload product images error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete a product image
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private
+router.delete('/:id/images/:imageId', protect, productOwnership('product:update:any', 'update'), async (req, res) => {
+    try {
+        const product = req.resource;
+        const image = product.images.id(req.params.imageId);
+
+        if (!image) {
+            return res.status(404).json({
+                success: false,
+                message: 'Image not found'
+            });
+        }
+
+        product.images.pull(image._id);
+        if (image.isPrimary && product.images.length) {
+            product.images[0].isPrimary = true;
+        }
+        await product.save();
+        await removeImage(image.url, 'products');
+
+        if (!req.isResourceOwner) {
+            await recordAudit(req, {
+                action: 'product.updated',
+                targetType: 'Product',
+                targetId: product._id,
+                metadata: { imageRemoved: image.url }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Image removed',
+            data: product.images
+        });
+    } catch (error) {
+        console.error('Delete product image error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @desc    Get featured products
 // @route   GET /api/products/featured
-// @access  Public
-router.get('/featured/list', async (req, res) => {
+// @access  Public (or API key with products:read)
+router.get('/featured/list', allowApiKey('products:read'), identifyUser, async (req, res) => {
     try {
         const products = await Product.find({ featured: true, status: 'active' })
             .populate({
@@ -268,6 +465,7 @@ router.get('/featured/list', async (req, res) => {
             })
             .sort({ createdAt: -1 })
             .limit(8);
+        await applyPrivacy(req, { artists: products.map(product => product.seller) });
 
         res.status(200).json({
             success: true,
@@ -285,8 +483,8 @@ router.get('/featured/list', async (req, res) => {
 
 // @desc    Get products by category
 // @route   GET /api/products/category/:category
-// @access  Public
-router.get('/category/:category', async (req, res) => {
+// @access  Public (or API key with products:read)
+router.get('/category/:category', allowApiKey('products:read'), identifyUser, async (req, res) => {
     try {
         const { category } = req.params;
         const { page = 1, limit = 12 } = req.query;
@@ -307,6 +505,7 @@ router.get('/category/:category', async (req, res) => {
         .skip((page - 1) * limit);
 
         const total = await Product.countDocuments({ category, status: 'active' });
+        await applyPrivacy(req, { artists: products.map(product => product.seller) });
 
         res.status(200).json({
             success: true,
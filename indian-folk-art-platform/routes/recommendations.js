@@ -0,0 +1,315 @@
+const express = require('express');
+const Artist = require('../models/Artist');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const ItemView = require('../models/ItemView');
+const { protect } = require('../middleware/auth');
+const { applyPrivacy } = require('../utils/privacy');
+
+const router = express.Router();
+
+// How much each kind of signal says about what a user likes, and how it is
+// explained. A taste (an artform or category) counts for at most TASTE_CAP.
+const SIGNALS = {
+    stated: { weight: 3, explain: name => `because you like ${name}` },
+    booked: { weight: 2, explain: name => `because you booked ${name} sessions` },
+    viewed: { weight: 1, explain: name => `because you viewed ${name} work` }
+};
+const TASTE_CAP = 4;
+
+const LOCATION_SCORES = { city: 2, state: 1 };
+const POPULARITY_WEIGHT = 2;
+
+// Candidates loaded per type before ranking
+const CANDIDATES = 100;
+
+const displayName = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive whole-value match, for city and state names typed by users
+const exactText = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, 'i');
+
+const sameText = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Artforms and categories the user likes, each with a score and what it came from
+const buildTastes = async (user) => {
+    const tastes = { artforms: new Map(), categories: new Map() };
+
+    const add = (kind, value, signal, amount = 1) => {
+        if (!value) {
+            return;
+        }
+        const taste = tastes[kind].get(value) || { score: 0, sources: {} };
+        taste.sources[signal] = (taste.sources[signal] || 0) + SIGNALS[signal].weight * amount;
+        taste.score = Math.min(TASTE_CAP, taste.score + SIGNALS[signal].weight * amount);
+        tastes[kind].set(value, taste);
+    };
+
+    const preferences = user.preferences || {};
+    (preferences.artforms || []).forEach(artform => add('artforms', artform, 'stated'));
+    (preferences.interests || []).forEach(interest => add('categories', interest, 'stated'));
+
+    const [bookings, views] = await Promise.all([
+        Session.find({ user: user._id, status: { $ne: 'cancelled' } })
+            .select('artist')
+            .populate('artist', 'specializations')
+            .sort('-createdAt')
+            .limit(50),
+        ItemView.find({ user: user._id }).sort('-viewedAt').limit(100)
+    ]);
+
+    bookings.forEach(session => {
+        ((session.artist && session.artist.specializations) || []).forEach(s => {
+            add('artforms', s.artform, 'booked');
+            add('categories', s.category, 'booked');
+        });
+    });
+
+    // Each viewed item counts a little; looking at something again counts a bit more
+    views.forEach(view => {
+        const amount = Math.min(view.count || 1, 3) / 3;
+        view.artforms.forEach(artform => add('artforms', artform, 'viewed', amount));
+        view.categories.forEach(category => add('categories', category, 'viewed', amount));
+    });
+
+    return tastes;
+};
+
+// Score for matching the user's tastes, with the strongest reason for each match
+const tasteMatch = (tastes, kind, values) => {
+    let score = 0;
+    const reasons = [];
+
+    [...new Set(values.filter(Boolean))].forEach(value => {
+        const taste = tastes[kind].get(value);
+        if (!taste) {
+            return;
+        }
+        score += taste.score;
+        const [signal] = Object.entries(taste.sources).sort((a, b) => b[1] - a[1])[0];
+        reasons.push({ score: taste.score, text: SIGNALS[signal].explain(displayName(value)) });
+    });
+
+    return { score, reasons };
+};
+
+const locationMatch = (user, location) => {
+    const home = user.location || {};
+    if (!location) {
+        return { score: 0, reasons: [] };
+    }
+    if (sameText(home.city, location.city)) {
+        return { score: LOCATION_SCORES.city, reasons: [{ score: LOCATION_SCORES.city, text: `near you in ${location.city}` }] };
+    }
+    if (sameText(home.state, location.state)) {
+        return { score: LOCATION_SCORES.state, reasons: [{ score: LOCATION_SCORES.state, text: `in your state, ${location.state}` }] };
+    }
+    return { score: 0, reasons: [] };
+};
+
+// 0-1: a high average only counts fully once it has enough ratings behind it
+const ratingScore = (ratings) => {
+    if (!ratings || !ratings.count) {
+        return 0;
+    }
+    return (ratings.average / 5) * Math.min(1, ratings.count / 10);
+};
+
+// 0-1 on a log scale, reaching 1 at `full`
+const countScore = (count, full) => Math.min(1, Math.log10(1 + (count || 0)) / Math.log10(1 + full));
+
+const popularityMatch = (rating, reach) => {
+    const popularity = (rating + reach) / 2;
+    const score = popularity * POPULARITY_WEIGHT;
+    if (popularity < 0.4) {
+        return { score, reasons: [] };
+    }
+    return {
+        score,
+        reasons: [{ score, text: rating >= reach ? 'highly rated by other art lovers' : 'popular with other art lovers' }]
+    };
+};
+
+// Combine the parts into a score and a best-first list of reasons
+const rank = (type, doc, parts, data) => {
+    const score = parts.reduce((sum, part) => sum + part.score, 0);
+    const reasons = parts.flatMap(part => part.reasons)
+        .sort((a, b) => b.score - a.score)
+        .map(reason => reason.text);
+
+    return {
+        type,
+        id: doc._id,
+        score: Math.round(score * 100) / 100,
+        reasons: reasons.length ? reasons : ['something new to discover'],
+        data
+    };
+};
+
+const topResults = (results, limit) => results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+// Documents matching any of the queries, without duplicates
+const findCandidates = async (queries) => {
+    const seen = new Set();
+    return (await Promise.all(queries)).flat().filter(doc => {
+        const id = doc._id.toString();
+        if (seen.has(id)) {
+            return false;
+        }
+        seen.add(id);
+        return true;
+    });
+};
+
+// Condition for items in a liked artform or category or in the user's area; null when nothing is known
+const tasteQuery = (tastes, { artform, category, city, state }, user) => {
+    const home = user.location || {};
+    const conditions = [];
+    if (tastes.artforms.size) {
+        conditions.push({ [artform]: { $in: [...tastes.artforms.keys()] } });
+    }
+    if (tastes.categories.size) {
+        conditions.push({ [category]: { $in: [...tastes.categories.keys()] } });
+    }
+    if (city && home.city) {
+        conditions.push({ [city]: exactText(home.city) });
+    }
+    if (state && home.state) {
+        conditions.push({ [state]: exactText(home.state) });
+    }
+    return conditions.length ? { $or: conditions } : null;
+};
+
+// Candidates are redacted before scoring, so a hidden city never shows up in a reason
+const recommendArtists = async (req, tastes, ownArtist, limit) => {
+    const user = req.user;
+    const base = { isActive: true, _id: { $ne: ownArtist && ownArtist._id } };
+    const select = 'user bio specializations location ratings followerCount isVerified';
+    const match = tasteQuery(tastes, {
+        artform: 'specializations.artform',
+        category: 'specializations.category',
+        city: 'location.city',
+        state: 'location.state'
+    }, user);
+
+    const artists = await findCandidates([
+        match ? Artist.find({ ...base, ...match }).select(select).limit(CANDIDATES) : [],
+        Artist.find(base).select(select).sort({ 'ratings.average': -1, followerCount: -1 }).limit(CANDIDATES)
+    ]);
+    await Artist.populate(artists, { path: 'user', select: 'name profileImage' });
+    await applyPrivacy(req, { artists });
+
+    return topResults(artists.map(artist => {
+        const specializations = artist.specializations || [];
+        return rank('artist', artist, [
+            tasteMatch(tastes, 'artforms', specializations.map(s => s.artform)),
+            tasteMatch(tastes, 'categories', specializations.map(s => s.category)),
+            locationMatch(user, artist.location),
+            popularityMatch(ratingScore(artist.ratings), countScore(artist.followerCount, 500))
+        ], artist);
+    }), limit);
+};
+
+const recommendProducts = async (req, tastes, ownArtist, limit) => {
+    const user = req.user;
+    const base = { status: 'active', seller: { $ne: ownArtist && ownArtist._id } };
+    const select = 'title images price category artform ratings views featured seller createdAt';
+    const match = tasteQuery(tastes, { artform: 'artform', category: 'category' }, user);
+
+    const products = await findCandidates([
+        match ? Product.find({ ...base, ...match }).select(select).limit(CANDIDATES) : [],
+        Product.find(base).select(select).sort({ featured: -1, views: -1 }).limit(CANDIDATES)
+    ]);
+    await Product.populate(products, {
+        path: 'seller',
+        select: 'user location isVerified',
+        populate: { path: 'user', select: 'name' }
+    });
+    await applyPrivacy(req, { artists: products.map(product => product.seller) });
+
+    return topResults(products.map(product => rank('product', product, [
+        tasteMatch(tastes, 'artforms', [product.artform]),
+        tasteMatch(tastes, 'categories', [product.category]),
+        locationMatch(user, product.seller && product.seller.location),
+        popularityMatch(ratingScore(product.ratings), countScore(product.views, 1000))
+    ], product)), limit);
+};
+
+// Upcoming workshops with places left that the user hasn't booked
+const recommendWorkshops = async (req, tastes, ownArtist, limit) => {
+    const user = req.user;
+    const workshops = await Session.find({
+        sessionType: 'workshop',
+        status: { $in: ['pending', 'confirmed'] },
+        scheduledDate: { $gt: new Date() },
+        $expr: { $lt: ['$currentParticipants', '$maxParticipants'] },
+        user: { $ne: user._id },
+        artist: { $ne: ownArtist && ownArtist._id }
+    })
+        .select('title description scheduledDate duration format location.city location.state pricing maxParticipants currentParticipants artist')
+        .populate({
+            path: 'artist',
+            select: 'user specializations location ratings followerCount isVerified isActive',
+            populate: { path: 'user', select: 'name profileImage' }
+        })
+        .sort({ scheduledDate: 1 })
+        .limit(CANDIDATES);
+    await applyPrivacy(req, { artists: workshops.map(workshop => workshop.artist) });
+
+    return topResults(workshops
+        .filter(workshop => workshop.artist && workshop.artist.isActive)
+        .map(workshop => {
+            const artist = workshop.artist;
+            const specializations = artist.specializations || [];
+            // Online workshops are open to everyone, so only in-person ones get a location boost
+            const location = workshop.format === 'online'
+                ? null
+                : (workshop.location && workshop.location.city ? workshop.location : artist.location);
+
+            return rank('workshop', workshop, [
+                tasteMatch(tastes, 'artforms', specializations.map(s => s.artform)),
+                tasteMatch(tastes, 'categories', specializations.map(s => s.category)),
+                locationMatch(user, location),
+                popularityMatch(ratingScore(artist.ratings), countScore(artist.followerCount, 500))
+            ], workshop);
+        }), limit);
+};
+
+// @desc    Artists, products and upcoming workshops picked for the current user
+// @route   GET /api/recommendations?limit=
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, 30);
+        const tastes = await buildTastes(req.user);
+        const ownArtist = await Artist.findOne({ user: req.user._id }).select('_id');
+
+        const [artists, products, workshops] = await Promise.all([
+            recommendArtists(req, tastes, ownArtist, limit),
+            recommendProducts(req, tastes, ownArtist, limit),
+            recommendWorkshops(req, tastes, ownArtist, limit)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            // Nothing known about the user yet: results are popular and nearby picks
+            coldStart: !tastes.artforms.size && !tastes.categories.size,
+            data: {
+                artists,
+                products,
+                workshops
+            }
+        });
+    } catch (error) {
+        console.error('Get recommendations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
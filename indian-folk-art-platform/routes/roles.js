@@ -0,0 +1,156 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { protect, requirePermission, getRolePermissions } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// @desc    Get roles with their effective permissions
+// @route   GET /api/roles
+// @access  Private (security:manage)
+router.get('/', protect, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const policy = await SecurityPolicy.getPolicy();
+
+        const roles = await Promise.all(ROLES.map(async role => ({
+            role,
+            permissions: await getRolePermissions(role),
+            isCustomized: policy.rolePermissions.has(role)
+        })));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                roles,
+                permissions: PERMISSIONS
+            }
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Replace the permissions of a role
+// @route   PUT /api/roles/:role
+// @access  Private (security:manage)
+router.put('/:role', protect, requirePermission('security:manage'), [
+    body('permissions').isArray().withMessage('permissions must be an array'),
+    body('permissions.*')
+        .isIn([...Object.keys(PERMISSIONS), '*'])
+        .withMessage('Unknown permission')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { role } = req.params;
+        if (!ROLES.includes(role)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        // Admins always keep full access so the matrix can't lock everyone out
+        if (role === 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'The admin role always has every permission'
+            });
+        }
+
+        const permissions = [...new Set(req.body.permissions)];
+        const previous = await getRolePermissions(role);
+
+        const policy = await SecurityPolicy.findOneAndUpdate(
+            { key: 'default' },
+            {
+                [`rolePermissions.${role}`]: permissions,
+                updatedBy: req.user.id,
+                updatedAt: Date.now()
+            },
+            { new: true, upsert: true }
+        );
+        SecurityPolicy.clearCache();
+
+        await recordAudit(req, {
+            action: 'role.permissions_updated',
+            targetType: 'SecurityPolicy',
+            targetId: policy._id,
+            changes: [{ field: `rolePermissions.${role}`, before: previous, after: permissions }]
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Permissions for ${role} updated`,
+            data: { role, permissions }
+        });
+    } catch (error) {
+        console.error('Update role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Restore the default permissions of a role
+// @route   DELETE /api/roles/:role
+// @access  Private (security:manage)
+router.delete('/:role', protect, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const { role } = req.params;
+        if (!ROLES.includes(role)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        const previous = await getRolePermissions(role);
+
+        const policy = await SecurityPolicy.findOneAndUpdate(
+            { key: 'default' },
+            {
+                $unset: { [`rolePermissions.${role}`]: 1 },
+                updatedBy: req.user.id,
+                updatedAt: Date.now()
+            },
+            { new: true, upsert: true }
+        );
+        SecurityPolicy.clearCache();
+
+        await recordAudit(req, {
+            action: 'role.permissions_reset',
+            targetType: 'SecurityPolicy',
+            targetId: policy._id,
+            changes: [{ field: `rolePermissions.${role}`, before: previous, after: DEFAULT_ROLE_PERMISSIONS[role] }]
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Permissions for ${role} reset to defaults`,
+            data: { role, permissions: DEFAULT_ROLE_PERMISSIONS[role] }
+        });
+    } catch (error) {
+        console.error('Reset role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
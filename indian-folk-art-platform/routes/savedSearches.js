@@ -0,0 +1,311 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const Product = require('../models/Product');
+const Artist = require('../models/Artist');
+const { protect, checkOwnership } = require('../middleware/auth');
+const { applyPrivacy } = require('../utils/privacy');
+const {
+    PRODUCT_FILTERS,
+    ARTIST_FILTERS,
+    buildProductQuery,
+    buildArtistQuery
+} = require('../utils/searchQueries');
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 20;
+
+const FILTERS = {
+    products: PRODUCT_FILTERS,
+    artists: ARTIST_FILTERS
+};
+
+const searchOwnership = checkOwnership({
+    load: req => SavedSearch.findById(req.params.id),
+    owner: search => search.user,
+    notFoundMessage: 'Saved search not found',
+    forbiddenMessage: 'Not authorized to access this saved search'
+});
+
+// Filters must be ones the search type understands (an existing search keeps its type)
+const validFilters = body('filters').optional().custom((filters, { req }) => {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new Error('filters must be an object of query parameters');
+    }
+    const type = req.resource ? req.resource.type : req.body.type;
+    const allowed = FILTERS[type];
+    if (!allowed) {
+        return true;
+    }
+    Object.entries(filters).forEach(([key, value]) => {
+        if (!allowed.includes(key)) {
+            throw new Error(`${key} is not a filter for ${type}; use ${allowed.join(', ')}`);
+        }
+        if (typeof value === 'object' || String(value).length > 100) {
+            throw new Error(`${key} must be a short text or number value`);
+        }
+    });
+    return true;
+});
+
+// Empty values are dropped, the rest kept as the strings a query string would give
+const cleanFilters = (filters = {}) => Object.entries(filters).reduce((clean, [key, value]) => {
+    if (value !== '' && value != null) {
+        clean[key] = String(value).trim();
+    }
+    return clean;
+}, {});
+
+const formatSearch = (search) => ({
+    id: search._id,
+    name: search.name,
+    type: search.type,
+    filters: Object.fromEntries(search.filters),
+    alertsEnabled: search.alertsEnabled,
+    lastCheckedAt: search.lastCheckedAt,
+    lastAlertAt: search.lastAlertAt,
+    createdAt: search.createdAt
+});
+
+// @desc    Get the current user's saved searches
+// @route   GET /api/saved-searches
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const searches = await SavedSearch.find({ user: req.user._id }).sort('-createdAt');
+
+        res.status(200).json({
+            success: true,
+            count: searches.length,
+            data: searches.map(formatSearch)
+        });
+    } catch (error) {
+        console.error('Get saved searches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Save a product or artist search, e.g. { type: 'products', filters: { artform: 'tanjore', maxPrice: 15000 } }
+// @route   POST /api/saved-searches
+// @access  Private
+router.post('/', protect, [
+    body('name').trim().notEmpty().withMessage('Name is required')
+        .isLength({ max: 80 }).withMessage('Name must be 80 characters or fewer'),
+    body('type').isIn(Object.keys(FILTERS)).withMessage('type must be products or artists'),
+    validFilters,
+    body('alertsEnabled').optional().isBoolean().withMessage('alertsEnabled must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (await SavedSearch.countDocuments({ user: req.user._id }) >= MAX_SAVED_SEARCHES) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_SAVED_SEARCHES} saved searches`
+            });
+        }
+
+        // Alerts start from now; existing matches are in the search results already
+        const search = await SavedSearch.create({
+            user: req.user._id,
+            name: req.body.name,
+            type: req.body.type,
+            filters: cleanFilters(req.body.filters),
+            alertsEnabled: req.body.alertsEnabled !== false
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Search saved',
+            data: formatSearch(search)
+        });
+    } catch (error) {
+        console.error('Create saved search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Turn off alerts for a saved search from the link in an alert email
+// @route   GET|POST /api/saved-searches/unsubscribe/:token
+// @access  Public (unsubscribe link)
+const unsubscribe = async (req, res) => {
+    try {
+        const search = await SavedSearch.findOneAndUpdate(
+            { unsubscribeToken: req.params.token },
+            { alertsEnabled: false },
+            { new: true }
+        );
+
+        if (!search) {
+            return res.status(404).json({
+                success: false,
+                message: 'This unsubscribe link is not valid'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `You will no longer get alerts for "${search.name}"`
+        });
+    } catch (error) {
+        console.error('Unsubscribe saved search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Mail clients send a POST for one-click unsubscribe (RFC 8058)
+router.get('/unsubscribe/:token', unsubscribe);
+router.post('/unsubscribe/:token', unsubscribe);
+
+// @desc    Get a saved search
+// @route   GET /api/saved-searches/:id
+// @access  Private (owner)
+router.get('/:id', protect, searchOwnership, async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: formatSearch(req.resource)
+    });
+});
+
+// @desc    Run a saved search, newest first
+// @route   GET /api/saved-searches/:id/results?page=&limit=
+// @access  Private (owner)
+router.get('/:id/results', protect, searchOwnership, async (req, res) => {
+    try {
+        const search = req.resource;
+        const filters = Object.fromEntries(search.filters);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 12, 50);
+
+        let query;
+        let results;
+        if (search.type === 'products') {
+            query = buildProductQuery(filters);
+            results = await Product.find(query)
+                .populate({
+                    path: 'seller',
+                    populate: {
+                        path: 'user',
+                        select: 'name profileImage location'
+                    }
+                })
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit);
+            await applyPrivacy(req, { artists: results.map(product => product.seller) });
+        } else {
+            query = buildArtistQuery(filters);
+            results = await Artist.find(query)
+                .populate('user', 'name email profileImage location')
+                .sort({ joinedAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit);
+            await applyPrivacy(req, { artists: results });
+        }
+
+        const total = await (search.type === 'products' ? Product : Artist).countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: results.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            data: results
+        });
+    } catch (error) {
+        console.error('Run saved search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Rename a saved search, change its filters or turn alerts on or off
+// @route   PUT /api/saved-searches/:id
+// @access  Private (owner)
+router.put('/:id', protect, searchOwnership, [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+        .isLength({ max: 80 }).withMessage('Name must be 80 characters or fewer'),
+    validFilters,
+    body('alertsEnabled').optional().isBoolean().withMessage('alertsEnabled must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const search = req.resource;
+        if (req.body.name !== undefined) {
+            search.name = req.body.name;
+        }
+        if (req.body.filters !== undefined) {
+            search.filters = cleanFilters(req.body.filters);
+        }
+        if (req.body.alertsEnabled !== undefined) {
+            // Turning alerts back on shouldn't send everything listed while they were off
+            if (req.body.alertsEnabled && !search.alertsEnabled) {
+                search.lastCheckedAt = new Date();
+            }
+            search.alertsEnabled = req.body.alertsEnabled;
+        }
+        await search.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Saved search updated',
+            data: formatSearch(search)
+        });
+    } catch (error) {
+        console.error('Update saved search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private (owner)
+router.delete('/:id', protect, searchOwnership, async (req, res) => {
+    try {
+        await req.resource.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Saved search deleted'
+        });
+    } catch (error) {
+        console.error('Delete saved search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,63 @@
 const express = require('express');
 const Session = require('../models/Session');
 const Artist = require('../models/Artist');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerified, requirePermission, checkOwnership } = require('../middleware/auth');
+const { allowApiKey } = require('../middleware/apiKey');
+const { recordAudit } = require('../utils/audit');
+const { notify } = require('../utils/notifications');
+const { applyPrivacy } = require('../utils/privacy');
+const { toPoint } = require('../utils/geo');
+const {
+    isBookable,
+    acquireBookingLock,
+    MIN_SESSION_MINUTES,
+    MAX_SESSION_MINUTES
+} = require('../utils/availability');
 
 const router = express.Router();
 
+const lockBusy = (res) => res.status(409).json({
+    success: false,
+    message: 'Another booking with this artist is being made; please try again'
+});
+
+// Contact details of the other participant follow their privacy settings
+const sessionPrivacy = (req, sessions) => applyPrivacy(req, {
+    users: sessions.map(session => session.user),
+    artists: sessions.map(session => session.artist)
+});
+
+// A booking belongs to both the user who made it and the booked artist
+const sessionParticipants = async (session) => {
+    const artist = session.artist && session.artist.user
+        ? session.artist
+        : await Artist.findById(session.artist).select('user');
+    return [session.user, artist && artist.user];
+};
+
+// Tell the other participant about a status change; both of them when staff made it
+const notifyStatusChange = async (req, session) => {
+    const booker = session.user;
+    const artistUser = session.artist && session.artist.user;
+    const recipients = [booker, artistUser]
+        .filter(user => user && (!req.isResourceOwner || user._id.toString() !== req.user.id));
+
+    await Promise.all(recipients.map(user => {
+        if (session.status === 'confirmed' && user === booker) {
+            return notify(user, 'booking_confirmed', {
+                title: 'Booking confirmed',
+                message: `"${session.title}" on ${session.scheduledDate.toDateString()} has been confirmed.`,
+                data: { session: session._id }
+            });
+        }
+        return notify(user, 'session_status_changed', {
+            title: `Booking ${session.status}`,
+            message: `"${session.title}" on ${session.scheduledDate.toDateString()} is now ${session.status}.`,
+            data: { session: session._id, status: session.status }
+        });
+    }));
+};
+
 // @desc    Get all sessions for current user
 // @route   GET /api/sessions
 // @access  Private
@@ -46,6 +99,7 @@ router.get('/', protect, async (req, res) => {
             .skip((page - 1) * limit);
 
         const total = await Session.countDocuments(query);
+        await sessionPrivacy(req, sessions);
 
         res.status(200).json({
             success: true,
@@ -67,41 +121,27 @@ router.get('/', protect, async (req, res) => {
 // @desc    Get session by ID
 // @route   GET /api/sessions/:id
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, checkOwnership({
+    load: req => Session.findById(req.params.id)
+        .populate('user', 'name email profileImage phone')
+        .populate({
+            path: 'artist',
+            populate: {
+                path: 'user',
+                select: 'name email profileImage phone'
+            }
+        }),
+    owner: sessionParticipants,
+    permission: 'session:read:any',
+    notFoundMessage: 'Session not found',
+    forbiddenMessage: 'Not authorized to view this session'
+}), async (req, res) => {
     try {
-        const session = await Session.findById(req.params.id)
-            .populate('user', 'name email profileImage phone')
-            .populate({
-                path: 'artist',
-                populate: {
-                    path: 'user',
-                    select: 'name email profileImage phone'
-                }
-            });
-
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                message: 'Session not found'
-            });
-        }
-
-        // Check authorization
-        const artist = await Artist.findOne({ user: req.user.id });
-        const isOwner = session.user._id.toString() === req.user.id;
-        const isArtist = artist && session.artist._id.toString() === artist._id.toString();
-        const isAdmin = req.user.role === 'admin';
-
-        if (!isOwner && !isArtist && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to view this session'
-            });
-        }
+        await sessionPrivacy(req, [req.resource]);
 
         res.status(200).json({
             success: true,
-            data: session
+            data: req.resource
         });
     } catch (error) {
         console.error('Get session error:', error);
@@ -114,8 +154,8 @@ router.get('/:id', protect, async (req, res) => {
 
 // @desc    Book a session
 // @route   POST /api/sessions
-// @access  Private
-router.post('/', protect, async (req, res) => {
+// @access  Private (verified email, or API key with sessions:write)
+router.post('/', allowApiKey('sessions:write'), protect, requireVerified, async (req, res) => {
     try {
         const {
             artistId,
@@ -138,35 +178,67 @@ router.post('/', protect, async (req, res) => {
             });
         }
 
-        // Check if the scheduled time is available
-        const existingSession = await Session.findOne({
-            artist: artistId,
-            scheduledDate: {
-                $gte: new Date(scheduledDate),
-                $lt: new Date(new Date(scheduledDate).getTime() + duration * 60000)
-            },
-            status: { $in: ['pending', 'confirmed'] }
-        });
+        // Deactivated profiles (e.g. deleted accounts) can't be booked
+        if (!artist.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'This artist is not accepting bookings'
+            });
+        }
 
-        if (existingSession) {
+        const start = new Date(scheduledDate);
+        const minutes = Number(duration);
+        if (isNaN(start) || !Number.isInteger(minutes) || minutes < MIN_SESSION_MINUTES || minutes > MAX_SESSION_MINUTES) {
             return res.status(400).json({
                 success: false,
-                message: 'Artist is not available at the requested time'
+                message: `scheduledDate must be a date and duration between ${MIN_SESSION_MINUTES} and ${MAX_SESSION_MINUTES} minutes`
             });
         }
 
-        const session = await Session.create({
-            user: req.user.id,
-            artist: artistId,
-            sessionType,
-            title,
-            description,
-            scheduledDate,
-            duration,
-            format,
-            location,
-            pricing
-        });
+        if (location && location.coordinates && !toPoint(location.coordinates)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location coordinates need a valid latitude and longitude'
+            });
+        }
+
+        // In-person sessions happen where the artist is unless a place is given.
+        // Only the city and state are copied; the artist's coordinates may be private.
+        const sessionLocation = format !== 'online' && !(location && (location.city || location.coordinates))
+            ? { ...location, city: artist.location.city, state: artist.location.state }
+            : location;
+
+        // The time has to be one of the artist's free slots (GET /api/artists/:id/slots).
+        // The lock keeps a parallel booking from taking it between the check and the save.
+        const releaseLock = await acquireBookingLock(artist._id);
+        if (!releaseLock) {
+            return lockBusy(res);
+        }
+
+        let session;
+        try {
+            if (!await isBookable(artist, start, minutes)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Artist is not available at the requested time'
+                });
+            }
+
+            session = await Session.create({
+                user: req.user.id,
+                artist: artistId,
+                sessionType,
+                title,
+                description,
+                scheduledDate,
+                duration,
+                format,
+                location: sessionLocation,
+                pricing
+            });
+        } finally {
+            await releaseLock();
+        }
 
         const populatedSession = await Session.findById(session._id)
             .populate('user', 'name email profileImage')
@@ -178,6 +250,14 @@ router.post('/', protect, async (req, res) => {
                 }
             });
 
+        await notify(artist.user, 'booking_received', {
+            title: 'New booking request',
+            message: `${req.user.name} booked "${title}" for ${new Date(scheduledDate).toDateString()}.`,
+            data: { session: session._id }
+        });
+
+        await sessionPrivacy(req, [populatedSession]);
+
         res.status(201).json({
             success: true,
             message: 'Session booked successfully',
@@ -195,7 +275,13 @@ router.post('/', protect, async (req, res) => {
 // @desc    Update session status
 // @route   PUT /api/sessions/:id/status
 // @access  Private
-router.put('/:id/status', protect, async (req, res) => {
+router.put('/:id/status', protect, checkOwnership({
+    load: req => Session.findById(req.params.id),
+    owner: sessionParticipants,
+    permission: 'session:update:any',
+    notFoundMessage: 'Session not found',
+    forbiddenMessage: 'Not authorized to update this session'
+}), async (req, res) => {
     try {
         const { status } = req.body;
         const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled', 'rescheduled'];
@@ -207,29 +293,44 @@ router.put('/:id/status', protect, async (req, res) => {
             });
         }
 
-        const session = await Session.findById(req.params.id);
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                message: 'Session not found'
-            });
-        }
+        const session = req.resource;
+        const previousStatus = session.status;
 
-        // Check authorization
-        const artist = await Artist.findOne({ user: req.user.id });
-        const isOwner = session.user.toString() === req.user.id;
-        const isArtist = artist && session.artist.toString() === artist._id.toString();
-        const isAdmin = req.user.role === 'admin';
+        // Reopening a booking (e.g. un-cancelling it) needs its slot to still be free
+        if (Session.BOOKED_STATUSES.includes(status) && !Session.BOOKED_STATUSES.includes(previousStatus)) {
+            const artist = await Artist.findById(session.artist);
+            const releaseLock = await acquireBookingLock(session.artist);
+            if (!releaseLock) {
+                return lockBusy(res);
+            }
 
-        if (!isOwner && !isArtist && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to update this session'
-            });
+            try {
+                if (!artist || !artist.isActive ||
+                    !await isBookable(artist, session.scheduledDate, session.duration, session._id)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'The time of this session is no longer available'
+                    });
+                }
+                session.status = status;
+                await session.save();
+            } finally {
+                await releaseLock();
+            }
+        } else {
+            session.status = status;
+            await session.save();
         }
 
-        session.status = status;
-        await session.save();
+        // Participants change their own bookings all the time; only staff overrides are audited
+        if (!req.isResourceOwner) {
+            await recordAudit(req, {
+                action: 'session.status_changed',
+                targetType: 'Session',
+                targetId: session._id,
+                changes: [{ field: 'status', before: previousStatus, after: status }]
+            });
+        }
 
         const updatedSession = await Session.findById(session._id)
             .populate('user', 'name email profileImage')
@@ -241,6 +342,12 @@ router.put('/:id/status', protect, async (req, res) => {
                 }
             });
 
+        if (status !== previousStatus) {
+            await notifyStatusChange(req, updatedSession);
+        }
+
+        await sessionPrivacy(req, [updatedSession]);
+
         res.status(200).json({
             success: true,
             message: 'Session status updated successfully',
@@ -255,10 +362,57 @@ router.put('/:id/status', protect, async (req, res) => {
     }
 });
 
+// @desc    Refund a paid booking
+// @route   PUT /api/sessions/:id/refund
+// @access  Private (session:refund)
+router.put('/:id/refund', protect, requirePermission('session:refund'), async (req, res) => {
+    try {
+        // Conditional, so two requests can't both refund the same payment
+        const session = await Session.findOneAndUpdate(
+            { _id: req.params.id, paymentStatus: 'paid' },
+            { paymentStatus: 'refunded' },
+            { new: true }
+        );
+        if (!session) {
+            const exists = await Session.exists({ _id: req.params.id });
+            return res.status(exists ? 400 : 404).json({
+                success: false,
+                message: exists ? 'Only paid bookings can be refunded' : 'Session not found'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'session.refunded',
+            targetType: 'Session',
+            targetId: session._id,
+            changes: [{ field: 'paymentStatus', before: 'paid', after: 'refunded' }],
+            metadata: req.body.reason ? { reason: req.body.reason } : undefined
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Session refunded',
+            data: session
+        });
+    } catch (error) {
+        console.error('Refund session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @desc    Rate a session
 // @route   PUT /api/sessions/:id/rate
 // @access  Private
-router.put('/:id/rate', protect, async (req, res) => {
+router.put('/:id/rate', protect, checkOwnership({
+    load: req => Session.findById(req.params.id),
+    // Only the user who booked can rate
+    owner: session => session.user,
+    notFoundMessage: 'Session not found',
+    forbiddenMessage: 'Not authorized to rate this session'
+}), async (req, res) => {
     try {
         const { score, review } = req.body;
 
@@ -269,21 +423,7 @@ router.put('/:id/rate', protect, async (req, res) => {
             });
         }
 
-        const session = await Session.findById(req.params.id);
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                message: 'Session not found'
-            });
-        }
-
-        // Only the user who booked can rate
-        if (session.user.toString() !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to rate this session'
-            });
-        }
+        const session = req.resource;
 
         // Session must be completed to rate
         if (session.status !== 'completed') {
@@ -314,6 +454,12 @@ router.put('/:id/rate', protect, async (req, res) => {
         artist.ratings.count = totalRatings;
         await artist.save();
 
+        await notify(artist.user, 'rating_received', {
+            title: `New ${score}-star rating`,
+            message: `${req.user.name} rated "${session.title}" ${score} out of 5.`,
+            data: { session: session._id }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Session rated successfully',
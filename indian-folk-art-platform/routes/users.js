@@ -1,18 +1,91 @@
 const express = require('express');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const DataExport = require('../models/DataExport');
+const { protect, requirePermission, checkOwnership, hasPermission, getRolePermissions } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { PRIVACY_LEVELS, PRIVACY_FIELDS } = require('../config/privacy');
+const { diffFields, recordAudit } = require('../utils/audit');
+const { exportPath, processDataExport } = require('../jobs/dataExports');
+const { graceDays, finalizeAccountDeletion } = require('../jobs/accountDeletion');
+const { revokeAllForUser } = require('../utils/authTokens');
+const { sendEmail } = require('../utils/sendEmail');
 
 const router = express.Router();
 
-// @desc    Get all users (admin only)
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "a,b", or the parameter repeated (?role=a&role=b), as a list
+const listParam = (value) => [].concat(value).flatMap(item => String(item).split(','));
+
+// Turn the search query string into a MongoDB filter
+const buildUserQuery = (params) => {
+    const { q, name, email, phone, role, status, state, city } = params;
+    const query = {};
+
+    if (q) {
+        const pattern = new RegExp(escapeRegex(q), 'i');
+        query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (name) query.name = new RegExp(escapeRegex(name), 'i');
+    if (email) query.email = new RegExp(escapeRegex(email), 'i');
+    // Compare digits only, so "+91 98765" and "98765" both match
+    if (phone) query.phone = new RegExp(escapeRegex(String(phone).replace(/\D/g, '')));
+    if (role) query.role = { $in: listParam(role) };
+    if (status) query.status = { $in: listParam(status) };
+    if (state) query['location.state'] = new RegExp(escapeRegex(state), 'i');
+    if (city) query['location.city'] = new RegExp(escapeRegex(city), 'i');
+
+    return query;
+};
+
+// Accounts that can manage users themselves. Only admins may change their role
+// or status, so staff can't lock out or demote someone who could do the same to them.
+const managesUsers = async (user) => user.role === 'admin' || await hasPermission(user, 'user:manage');
+
+// Whether `role` grants anything `user` can't do, so giving it would raise someone above them
+const outranks = async (role, user) => {
+    for (const permission of await getRolePermissions(role)) {
+        if (!(await hasPermission(user, permission))) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// Users own their own account
+const accountOwnership = (permission, forbiddenMessage) => checkOwnership({
+    load: req => User.findById(req.params.id).select('-password'),
+    owner: user => user._id,
+    permission,
+    notFoundMessage: 'User not found',
+    forbiddenMessage
+});
+
+// @desc    Search users by name, email, phone, role, status and location (admin only)
 // @route   GET /api/users
 // @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+router.get('/', protect, requirePermission('user:read:any'), async (req, res) => {
     try {
-        const users = await User.find().select('-password');
+        const query = buildUserQuery(req.query);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+        const users = await User.find(query)
+            .select('-password')
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .skip((page - 1) * limit);
+
+        const total = await User.countDocuments(query);
+
         res.status(200).json({
             success: true,
             count: users.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
             data: users
         });
     } catch (error) {
@@ -24,31 +97,133 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
     }
 });
 
-// @desc    Get user by ID
-// @route   GET /api/users/:id
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
+// @desc    Download a personal data export
+// @route   GET /api/users/exports/:token
+// @access  Public (unguessable, expiring link)
+router.get('/exports/:token', async (req, res) => {
     try {
-        const user = await User.findById(req.params.id).select('-password');
-        
-        if (!user) {
+        const dataExport = await DataExport.findOne({
+            downloadTokenHash: DataExport.hashToken(req.params.token)
+        }).select('+fileName');
+
+        if (!dataExport) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Export not found'
             });
         }
 
-        // Only allow users to view their own profile or admin to view any
-        if (req.user.id !== req.params.id && req.user.role !== 'admin') {
-            return res.status(403).json({
+        if (dataExport.status === 'expired' || dataExport.expiresAt <= Date.now()) {
+            return res.status(410).json({
+                success: false,
+                message: 'This download link has expired, please request a new export'
+            });
+        }
+
+        if (dataExport.status === 'failed') {
+            return res.status(500).json({
                 success: false,
-                message: 'Not authorized to view this profile'
+                message: 'The export could not be generated, please request a new one'
+            });
+        }
+
+        if (dataExport.status !== 'ready') {
+            return res.status(202).json({
+                success: true,
+                status: dataExport.status,
+                message: 'Your export is still being prepared'
             });
         }
 
+        await DataExport.updateOne({ _id: dataExport._id }, { $inc: { downloadCount: 1 } });
+
+        const date = dataExport.completedAt.toISOString().slice(0, 10);
+        res.download(exportPath(dataExport.fileName), `kala-sanskriti-data-${date}.zip`);
+    } catch (error) {
+        console.error('Download export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Each privacy field with its description and the user's current level
+const privacySettings = (user) => Object.entries(PRIVACY_FIELDS).map(([field, { description }]) => ({
+    field,
+    description,
+    level: (user.privacy && user.privacy[field]) || PRIVACY_FIELDS[field].default
+}));
+
+// @desc    Get who can see your email, phone, location and coordinates
+// @route   GET /api/users/privacy
+// @access  Private
+router.get('/privacy', protect, async (req, res) => {
+    res.status(200).json({
+        success: true,
+        levels: PRIVACY_LEVELS,
+        data: privacySettings(req.user)
+    });
+});
+
+// @desc    Change privacy levels, e.g. { phone: 'after_booking', email: 'private' }
+// @route   PUT /api/users/privacy
+// @access  Private
+router.put('/privacy', protect, [
+    body().custom(settings => {
+        const fields = Object.keys(settings || {});
+        if (!fields.length) {
+            throw new Error('Provide at least one field to change');
+        }
+        fields.forEach(field => {
+            if (!PRIVACY_FIELDS[field]) {
+                throw new Error(`Unknown privacy field: ${field}`);
+            }
+            if (!PRIVACY_LEVELS.includes(settings[field])) {
+                throw new Error(`${field} must be one of: ${PRIVACY_LEVELS.join(', ')}`);
+            }
+        });
+        return true;
+    })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = req.user;
+        Object.keys(req.body).forEach(field => {
+            user.privacy[field] = req.body[field];
+        });
+        await user.save({ validateBeforeSave: false });
+
         res.status(200).json({
             success: true,
-            data: user
+            message: 'Privacy settings updated',
+            data: privacySettings(user)
+        });
+    } catch (error) {
+        console.error('Update privacy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get user by ID
+// @route   GET /api/users/:id
+// @access  Private
+router.get('/:id', protect, accountOwnership('user:read:any', 'Not authorized to view this profile'), async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: req.resource
         });
     } catch (error) {
         console.error('Get user error:', error);
@@ -91,13 +266,246 @@ router.put('/preferences', protect, async (req, res) => {
     }
 });
 
-// @desc    Delete user account
+// @desc    Request a personal data export (JSON + CSV archive, built in the background)
+// @route   GET /api/users/:id/export
+// @access  Private (account owner or user:delete:any)
+router.get('/:id/export', protect, accountOwnership('user:delete:any', 'Not authorized to export this account'), async (req, res) => {
+    try {
+        const user = req.resource;
+
+        if (req.impersonator) {
+            return res.status(403).json({
+                success: false,
+                code: 'IMPERSONATION_READ_ONLY',
+                message: 'Exports cannot be requested while viewing as another user'
+            });
+        }
+
+        const inProgress = await DataExport.findOne({
+            user: user._id,
+            status: { $in: ['pending', 'processing'] }
+        });
+        if (inProgress) {
+            return res.status(409).json({
+                success: false,
+                message: 'An export of this account is already being prepared',
+                data: {
+                    id: inProgress._id,
+                    status: inProgress.status,
+                    expiresAt: inProgress.expiresAt
+                }
+            });
+        }
+
+        const dataExport = new DataExport({
+            user: user._id,
+            requestedBy: req.user._id
+        });
+        const token = dataExport.createDownloadToken();
+        await dataExport.save();
+
+        const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+        const downloadUrl = `${baseUrl}/api/users/exports/${token}`;
+
+        // Runs after the response; large accounts can take a while
+        setImmediate(() => {
+            processDataExport(dataExport._id, { downloadUrl }).catch(error => {
+                console.error('Data export job error:', error);
+            });
+        });
+
+        await recordAudit(req, {
+            action: 'user.data_exported',
+            targetType: 'User',
+            targetId: user._id,
+            metadata: { export: dataExport._id }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Your export is being prepared. The link below works once it is ready',
+            data: {
+                id: dataExport._id,
+                status: dataExport.status,
+                downloadUrl,
+                expiresAt: dataExport.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Request export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    List data exports for a user
+// @route   GET /api/users/:id/exports
+// @access  Private (account owner or user:delete:any)
+router.get('/:id/exports', protect, accountOwnership('user:delete:any', 'Not authorized to view these exports'), async (req, res) => {
+    try {
+        const exports = await DataExport.find({ user: req.resource._id })
+            .populate('requestedBy', 'name')
+            .sort('-createdAt');
+
+        res.status(200).json({
+            success: true,
+            count: exports.length,
+            data: exports
+        });
+    } catch (error) {
+        console.error('Get exports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Delete user account. Starts a grace period during which the account
+//          can be restored; the deletion job then deactivates and anonymizes it.
 // @route   DELETE /api/users/:id
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, accountOwnership('user:delete:any', 'Not authorized to delete this account'), async (req, res) => {
+    try {
+        const user = req.resource;
+
+        if (user.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: user.status === 'deleted'
+                    ? 'This account has already been deleted'
+                    : user.status === 'pending_deletion'
+                        ? 'This account is already scheduled for deletion'
+                        : 'Suspended or banned accounts must be reinstated before they can be deleted'
+            });
+        }
+
+        const scheduledFor = new Date(Date.now() + graceDays() * 24 * 60 * 60 * 1000);
+        user.status = 'pending_deletion';
+        user.deletion = {
+            requestedAt: new Date(),
+            requestedBy: req.user._id,
+            scheduledFor,
+            reason: req.body && req.body.reason
+        };
+        await user.save({ validateBeforeSave: false });
+
+        // Sign the account out everywhere; the owner can sign back in to restore it
+        await revokeAllForUser(user._id, 'account_deleted');
+
+        await recordAudit(req, {
+            action: 'user.deletion_requested',
+            targetType: 'User',
+            targetId: user._id,
+            // Nothing identifying: the audit log is append-only and outlives the account
+            metadata: { role: user.role, scheduledFor }
+        });
+
+        if (scheduledFor <= Date.now()) {
+            await finalizeAccountDeletion(user);
+            return res.status(200).json({
+                success: true,
+                message: 'Account deleted successfully'
+            });
+        }
+
+        if (user.email) {
+            sendEmail({
+                to: user.email,
+                subject: 'Your Kala Sanskriti account will be deleted',
+                text: `Namaste ${user.name},\n\n` +
+                    `Your account is scheduled for deletion on ${scheduledFor.toUTCString()}. ` +
+                    `Until then you can sign in and restore it from your account menu. After that date ` +
+                    `your profile and listings are removed and upcoming sessions are cancelled.`
+            }).catch(error => console.error('Deletion notice email error:', error));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Account scheduled for deletion on ${scheduledFor.toDateString()}. It can be restored until then`,
+            data: {
+                status: user.status,
+                scheduledFor
+            }
+        });
+    } catch (error) {
+        console.error('Delete user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Restore an account that is scheduled for deletion
+// @route   POST /api/users/:id/restore
+// @access  Private
+router.post('/:id/restore', protect, accountOwnership('user:delete:any', 'Not authorized to restore this account'), async (req, res) => {
     try {
+        const user = req.resource;
+
+        if (user.status !== 'pending_deletion') {
+            return res.status(400).json({
+                success: false,
+                message: user.status === 'deleted'
+                    ? 'This account has already been deleted and cannot be restored'
+                    : 'This account is not scheduled for deletion'
+            });
+        }
+
+        user.status = 'active';
+        user.deletion = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        await recordAudit(req, {
+            action: 'user.restored',
+            targetType: 'User',
+            targetId: user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Account restored'
+        });
+    } catch (error) {
+        console.error('Restore user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Suspend, ban or reinstate an account. Suspensions and bans take a
+//          reason and an optional expiry, and sign the account out everywhere.
+// @route   PUT /api/users/:id/status
+// @access  Private (user:manage)
+router.put('/:id/status', protect, requirePermission('user:manage'), [
+    body('status').isIn(['active', 'suspended', 'banned']).withMessage('Status must be active, suspended or banned'),
+    body('reason').if(body('status').not().equals('active')).trim().notEmpty().withMessage('A reason is required'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be a date')
+        .custom(value => new Date(value) > Date.now()).withMessage('expiresAt must be in the future')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change the status of your own account'
+            });
+        }
+
         const user = await User.findById(req.params.id);
-        
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -105,22 +513,201 @@ router.delete('/:id', protect, async (req, res) => {
             });
         }
 
-        // Only allow users to delete their own account or admin to delete any
-        if (req.user.id !== req.params.id && req.user.role !== 'admin') {
+        if (['pending_deletion', 'deleted'].includes(user.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Accounts that are being deleted cannot be suspended or reinstated'
+            });
+        }
+
+        if (req.user.role !== 'admin' && await managesUsers(user)) {
             return res.status(403).json({
                 success: false,
-                message: 'Not authorized to delete this account'
+                message: 'Only an admin can change the status of this account'
             });
         }
 
-        await User.findByIdAndDelete(req.params.id);
+        const before = user.toObject();
+        const { status, reason, expiresAt } = req.body;
+
+        user.status = status;
+        user.restriction = status === 'active'
+            ? undefined
+            : { reason, expiresAt: expiresAt || undefined, by: req.user._id, at: new Date() };
+        await user.save({ validateBeforeSave: false });
+
+        if (status !== 'active') {
+            await revokeAllForUser(user._id, 'account_suspended');
+        }
+
+        await recordAudit(req, {
+            action: status === 'active' ? 'user.reinstated' : `user.${status}`,
+            targetType: 'User',
+            targetId: user._id,
+            changes: diffFields(before, user, ['status', 'restriction.reason', 'restriction.expiresAt']),
+            metadata: status === 'active' ? { reason } : undefined
+        });
 
         res.status(200).json({
             success: true,
-            message: 'Account deleted successfully'
+            message: status === 'active'
+                ? 'Account reinstated'
+                : `Account ${status}${expiresAt ? ` until ${new Date(expiresAt).toUTCString()}` : ''}`,
+            data: {
+                id: user._id,
+                status: user.status,
+                restriction: user.restriction
+            }
         });
     } catch (error) {
-        console.error('Delete user error:', error);
+        console.error('Update user status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private (user:manage)
+router.put('/:id/role', protect, requirePermission('user:manage'), [
+    body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // Stops the last admin from demoting themselves by accident
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user || user.status === 'deleted') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (req.user.role !== 'admin' && await managesUsers(user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only an admin can change the role of this account'
+            });
+        }
+
+        if (await outranks(req.body.role, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot give a role with permissions you do not have'
+            });
+        }
+
+        const previousRole = user.role;
+        if (previousRole !== req.body.role) {
+            user.role = req.body.role;
+            await user.save({ validateBeforeSave: false });
+
+            await recordAudit(req, {
+                action: 'user.role_changed',
+                targetType: 'User',
+                targetId: user._id,
+                changes: [{ field: 'role', before: previousRole, after: user.role }],
+                metadata: req.body.reason ? { reason: req.body.reason } : undefined
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Role changed to ${user.role}`,
+            data: {
+                id: user._id,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Start a read-only "view as user" session so support can see what
+//          a user sees. Returns a short-lived access token for that user.
+// @route   POST /api/users/:id/impersonate
+// @access  Private (user:impersonate)
+router.post('/:id/impersonate', protect, requirePermission('user:impersonate'), [
+    body('reason').trim().notEmpty().withMessage('A reason is required, e.g. a support ticket number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user || user.status === 'deleted') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Staff can't view as themselves or as anyone who could do the same
+        if (user._id.toString() === req.user.id || user.role === 'admin' ||
+            await hasPermission(user, 'user:impersonate')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot view the app as this user'
+            });
+        }
+
+        // Tied to the staff member's own session, so logging out ends it too
+        const expiresIn = process.env.IMPERSONATION_EXPIRE || '15m';
+        const token = jwt.sign(
+            { id: user._id, sid: req.sessionFamily, imp: req.user.id },
+            process.env.JWT_SECRET,
+            { expiresIn }
+        );
+        const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+        await recordAudit(req, {
+            action: 'user.impersonation_started',
+            targetType: 'User',
+            targetId: user._id,
+            metadata: { reason: req.body.reason, expiresAt }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Viewing as ${user.name} (read-only) until ${expiresAt.toUTCString()}`,
+            token,
+            expiresAt,
+            user: {
+                id: user._id,
+                name: user.name,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        console.error('Impersonate user error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -0,0 +1,430 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const VerificationRequest = require('../models/VerificationRequest');
+const Artist = require('../models/Artist');
+const { protect, requirePermission, checkOwnership } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
+const { saveImage, imageVariants, imagePath } = require('../utils/images');
+const { recordAudit } = require('../utils/audit');
+const { notify } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Most documents in one upload
+const MAX_DOCUMENTS = 6;
+
+const DOCUMENT_KINDS = VerificationRequest.DOCUMENT_KINDS;
+
+// A request needs an ID, proof of the craft and an example of the artist's work
+const REQUIRED_DOCUMENTS = [
+    { kinds: ['id_proof'], label: 'an ID proof' },
+    { kinds: ['artisan_card', 'gi_authorization'], label: 'an artisan card or GI authorization' },
+    { kinds: ['sample_work'], label: 'a sample of your work' }
+];
+
+// What each review decision does to the request
+const DECISIONS = {
+    approve: { status: 'approved', action: 'approved', audit: 'artist.verified' },
+    reject: { status: 'rejected', action: 'rejected', audit: 'artist.verification_rejected' },
+    request_info: { status: 'more_info_requested', action: 'more_info_requested', audit: 'artist.verification_info_requested' }
+};
+
+const requestAccess = checkOwnership({
+    load: req => VerificationRequest.findById(req.params.id),
+    owner: request => request.user,
+    permission: 'artist:verify',
+    notFoundMessage: 'Verification request not found',
+    forbiddenMessage: 'Not authorized to view this verification request'
+});
+
+const requestOwnership = checkOwnership({
+    load: req => VerificationRequest.findById(req.params.id),
+    owner: request => request.user,
+    notFoundMessage: 'Verification request not found',
+    forbiddenMessage: 'Not authorized to update this verification request'
+});
+
+// Document files are private, so clients get links to the document route instead
+const formatRequest = (request) => {
+    const formatted = request.toObject();
+    formatted.documents = request.documents.map(document => ({
+        _id: document._id,
+        kind: document.kind,
+        uploadedAt: document.uploadedAt,
+        url: `/api/verification/${request._id}/documents/${document._id}`
+    }));
+    return formatted;
+};
+
+// Multipart uploads send one `kinds` value per file in `documents`, in the same order
+const documentKinds = (req) => {
+    const kinds = [].concat(req.body.kinds || []);
+    const files = req.files || [];
+
+    if (!files.length) {
+        return { error: 'Upload at least one document in the "documents" field' };
+    }
+    if (kinds.length !== files.length) {
+        return { error: 'Give one kind for each uploaded document, in the same order' };
+    }
+    const unknown = kinds.find(kind => !DOCUMENT_KINDS.includes(kind));
+    if (unknown) {
+        return { error: `${unknown} is not a document kind; use ${DOCUMENT_KINDS.join(', ')}` };
+    }
+    return { kinds };
+};
+
+const saveDocuments = async (files, kinds) => {
+    const documents = [];
+    for (const [index, file] of files.entries()) {
+        const image = await saveImage(file.buffer, 'verification');
+        documents.push({ kind: kinds[index], url: image.url });
+    }
+    return documents;
+};
+
+// @desc    Ask for the verified badge. Multipart form data with image files in
+//          `documents` and their kinds (id_proof, artisan_card, gi_authorization,
+//          sample_work) in `kinds`, plus an optional `comment`
+// @route   POST /api/verification
+// @access  Private (Artist)
+router.post('/', protect, imageUpload('documents', MAX_DOCUMENTS), async (req, res) => {
+    try {
+        const artist = await Artist.findOne({ user: req.user._id });
+        if (!artist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Create an artist profile before asking for verification'
+            });
+        }
+
+        if (artist.isVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your artist profile is already verified'
+            });
+        }
+
+        if (await VerificationRequest.exists({ artist: artist._id, status: { $in: ['pending', 'more_info_requested'] } })) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a verification request in review'
+            });
+        }
+
+        const { kinds, error } = documentKinds(req);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const missing = REQUIRED_DOCUMENTS.filter(required => !required.kinds.some(kind => kinds.includes(kind)));
+        if (missing.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Please include ${missing.map(required => required.label).join(', ')}`
+            });
+        }
+
+        const request = await VerificationRequest.create({
+            artist: artist._id,
+            user: req.user._id,
+            documents: await saveDocuments(req.files, kinds),
+            history: [{
+                action: 'submitted',
+                by: req.user._id,
+                comment: req.body.comment ? String(req.body.comment).slice(0, 1000) : undefined
+            }]
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Verification request submitted for review',
+            data: formatRequest(request)
+        });
+    } catch (error) {
+        console.error('Create verification request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get the current artist's verification requests, newest first
+// @route   GET /api/verification/mine
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+    try {
+        const requests = await VerificationRequest.find({ user: req.user._id })
+            .populate('history.by', 'name role')
+            .sort('-createdAt');
+
+        res.status(200).json({
+            success: true,
+            count: requests.length,
+            data: requests.map(formatRequest)
+        });
+    } catch (error) {
+        console.error('Get my verification requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Review queue, oldest first so nobody waits longest
+// @route   GET /api/verification?status=pending&page=&limit=
+// @access  Private (artist:verify)
+router.get('/', protect, requirePermission('artist:verify'), async (req, res) => {
+    try {
+        const status = String(req.query.status || 'pending');
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const query = status === 'all' ? {} : { status };
+
+        const [requests, total] = await Promise.all([
+            VerificationRequest.find(query)
+                .populate({
+                    path: 'artist',
+                    select: 'user specializations location isVerified',
+                    populate: { path: 'user', select: 'name email profileImage' }
+                })
+                .sort({ updatedAt: 1 })
+                .limit(limit)
+                .skip((page - 1) * limit),
+            VerificationRequest.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: requests.length,
+            total,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            data: requests.map(formatRequest)
+        });
+    } catch (error) {
+        console.error('Get verification queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Get a verification request with its review history
+// @route   GET /api/verification/:id
+// @access  Private (the artist, or artist:verify)
+router.get('/:id', protect, requestAccess, async (req, res) => {
+    try {
+        await req.resource.populate([
+            {
+                path: 'artist',
+                select: 'user bio specializations location isVerified verifiedAt',
+                populate: { path: 'user', select: 'name email profileImage' }
+            },
+            { path: 'history.by', select: 'name role' }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: formatRequest(req.resource)
+        });
+    } catch (error) {
+        console.error('Get verification request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    View an uploaded document (never served from /uploads)
+// @route   GET /api/verification/:id/documents/:documentId?size=thumb|medium|large
+// @access  Private (the artist, or artist:verify)
+router.get('/:id/documents/:documentId', protect, requestAccess, async (req, res) => {
+    const document = req.resource.documents.id(req.params.documentId);
+    const variants = document && imageVariants(document.url);
+    if (!variants) {
+        return res.status(404).json({
+            success: false,
+            message: 'Document not found'
+        });
+    }
+
+    if (!req.isResourceOwner) {
+        await recordAudit(req, {
+            action: 'artist.verification_document_viewed',
+            targetType: 'VerificationRequest',
+            targetId: req.resource._id,
+            metadata: { document: document._id, kind: document.kind }
+        });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(imagePath(variants[req.query.size] || variants.large), (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+    });
+});
+
+// @desc    Send the extra documents a reviewer asked for; the request goes back in the queue
+// @route   POST /api/verification/:id/documents
+// @access  Private (the artist)
+router.post('/:id/documents', protect, requestOwnership, imageUpload('documents', MAX_DOCUMENTS), async (req, res) => {
+    try {
+        const request = req.resource;
+        if (request.status !== 'more_info_requested') {
+            return res.status(400).json({
+                success: false,
+                message: 'Documents can only be added when a reviewer asks for more information'
+            });
+        }
+
+        const { kinds, error } = documentKinds(req);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        request.documents.push(...await saveDocuments(req.files, kinds));
+        request.history.push({
+            action: 'resubmitted',
+            by: req.user._id,
+            comment: req.body.comment ? String(req.body.comment).slice(0, 1000) : undefined
+        });
+        request.status = 'pending';
+        await request.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Documents added; your request is back in review',
+            data: formatRequest(request)
+        });
+    } catch (error) {
+        console.error('Add verification documents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @desc    Approve, reject or ask for more information. A comment is required
+//          unless approving, and is shown to the artist.
+// @route   PUT /api/verification/:id/review
+// @access  Private (artist:verify)
+router.put('/:id/review', protect, requirePermission('artist:verify'), [
+    body('decision').isIn(Object.keys(DECISIONS)).withMessage(`decision must be one of ${Object.keys(DECISIONS).join(', ')}`),
+    body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment must be 1000 characters or fewer'),
+    body('comment').if(body('decision').not().equals('approve'))
+        .notEmpty().withMessage('Please tell the artist why')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const request = await VerificationRequest.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Verification request not found'
+            });
+        }
+
+        if (request.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: request.status === 'more_info_requested'
+                    ? 'This request is waiting for the artist to send more information'
+                    : `This request has already been ${request.status}`
+            });
+        }
+
+        if (request.user.toString() === req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot review your own verification request'
+            });
+        }
+
+        const artist = await Artist.findById(request.artist);
+        if (!artist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Artist not found'
+            });
+        }
+
+        const decision = DECISIONS[req.body.decision];
+        request.status = decision.status;
+        request.reviewedBy = req.user._id;
+        request.reviewedAt = new Date();
+        request.history.push({ action: decision.action, by: req.user._id, comment: req.body.comment || undefined });
+        await request.save();
+
+        if (decision.status === 'approved') {
+            await Artist.updateOne({ _id: artist._id }, { isVerified: true, verifiedAt: request.reviewedAt });
+        }
+
+        await recordAudit(req, {
+            action: decision.audit,
+            targetType: 'Artist',
+            targetId: artist._id,
+            changes: decision.status === 'approved'
+                ? [{ field: 'isVerified', before: artist.isVerified, after: true }]
+                : undefined,
+            metadata: { verificationRequest: request._id, comment: req.body.comment }
+        });
+
+        const outcome = {
+            approved: {
+                title: 'Your artist profile is verified',
+                message: 'Your verification request was approved and the verified badge now shows on your profile.'
+            },
+            rejected: {
+                title: 'Your verification request was not approved',
+                message: `Your verification request was rejected: ${req.body.comment}`
+            },
+            more_info_requested: {
+                title: 'More information needed for your verification',
+                message: `A reviewer needs more information to verify your profile: ${req.body.comment}`
+            }
+        }[decision.status];
+
+        await notify(request.user, 'verification_updated', {
+            ...outcome,
+            data: { verificationRequest: request._id, artist: artist._id, status: decision.status }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Verification request ${decision.status.replace(/_/g, ' ')}`,
+            data: formatRequest(request)
+        });
+    } catch (error) {
+        console.error('Review verification request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
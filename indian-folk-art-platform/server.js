@@ -2,12 +2,17 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
 
 // Import database connection
 const connectDB = require('./config/database');
+const { csrfProtection } = require('./middleware/csrf');
+const { authenticateApiKey, rejectInvalidApiKey } = require('./middleware/apiKey');
+const { startJobs } = require('./jobs');
+const { getSmsProvider } = require('./utils/sms');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -15,23 +20,40 @@ const userRoutes = require('./routes/users');
 const artistRoutes = require('./routes/artists');
 const productRoutes = require('./routes/products');
 const sessionRoutes = require('./routes/sessions');
+const feedRoutes = require('./routes/feed');
+const collectionRoutes = require('./routes/collections');
+const notificationRoutes = require('./routes/notifications');
+const recommendationRoutes = require('./routes/recommendations');
+const savedSearchRoutes = require('./routes/savedSearches');
+const verificationRoutes = require('./routes/verification');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+
+// Fail at startup, not at the first sign-in, when SMS isn't set up
+getSmsProvider();
 
 const app = express();
 
-// Connect to database
-connectDB();
+// Connect to database, then start the background jobs
+connectDB().then(startJobs);
 
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: false, // Allow inline styles for development
 }));
 
+// Partner API keys carry their own rate limits, so they skip the per-IP limiter
+app.use('/api/', authenticateApiKey);
+
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    skip: req => !!req.apiKey
 });
 app.use('/api/', limiter);
+app.use('/api/', rejectInvalidApiKey);
 
 // CORS
 app.use(cors({
@@ -43,6 +65,10 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Cookie parser (cookie auth mode) and CSRF check for cookie-authenticated requests
+app.use(cookieParser());
+app.use('/api/', csrfProtection);
+
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -53,6 +79,15 @@ app.use('/api/users', userRoutes);
 app.use('/api/artists', artistRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/verification', verificationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/admin/api-keys', apiKeyRoutes);
+app.use('/api/admin/audit', auditRoutes);
 
 // Serve main application
 app.get('/', (req, res) => {
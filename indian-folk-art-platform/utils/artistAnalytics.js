@@ -0,0 +1,153 @@
+const Session = require('../models/Session');
+const Product = require('../models/Product');
+
+// Products listed in `products.top`
+const TOP_PRODUCTS = 10;
+
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+// "YYYY-MM" of each month from `from` to `to` in `timeZone`
+const monthsBetween = (from, to, timeZone) => {
+    const monthKey = date => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit' })
+        .format(date)
+        .slice(0, 7);
+    const [firstYear, firstMonth] = monthKey(from).split('-').map(Number);
+    const last = monthKey(new Date(to.getTime() - 1));
+
+    const months = [];
+    for (let index = 0; ; index++) {
+        const date = new Date(Date.UTC(firstYear, firstMonth - 1 + index, 1));
+        const key = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+        if (key > last) {
+            return months;
+        }
+        months.push(key);
+    }
+};
+
+// Earnings and performance for an artist's bookings scheduled, and ratings given,
+// between `from` and `to`, grouped by month in the artist's timezone. Product views
+// are running totals. Payments aren't recorded yet, so revenue is the booked price
+// of completed sessions, and product sales can't be reported.
+const buildArtistAnalytics = async (artist, { from, to }) => {
+    const timezone = (artist.availability && artist.availability.timezone) || 'Asia/Kolkata';
+    const currency = (artist.pricing && artist.pricing.currency) || 'INR';
+    const monthOf = date => ({ $dateToString: { format: '%Y-%m', date, timezone } });
+
+    const [[sessionStats], ratingTrend, [productStats]] = await Promise.all([
+        Session.aggregate([
+            { $match: { artist: artist._id, scheduledDate: { $gte: from, $lt: to } } },
+            {
+                $facet: {
+                    // Completed bookings at their booked price; refunded ones don't count
+                    revenue: [
+                        { $match: { status: 'completed', paymentStatus: { $ne: 'refunded' } } },
+                        {
+                            $group: {
+                                _id: { month: monthOf('$scheduledDate'), currency: { $ifNull: ['$pricing.currency', currency] } },
+                                revenue: { $sum: '$pricing.amount' },
+                                sessions: { $sum: 1 }
+                            }
+                        }
+                    ],
+                    byTypeAndStatus: [
+                        { $group: { _id: { sessionType: '$sessionType', status: '$status' }, count: { $sum: 1 } } },
+                        { $sort: { '_id.sessionType': 1, '_id.status': 1 } }
+                    ],
+                    totals: [
+                        {
+                            $group: {
+                                _id: null,
+                                bookings: { $sum: 1 },
+                                cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+                            }
+                        }
+                    ]
+                }
+            }
+        ]),
+        Session.aggregate([
+            { $match: { artist: artist._id, 'rating.score': { $gte: 1 }, 'rating.ratedAt': { $gte: from, $lt: to } } },
+            { $group: { _id: monthOf('$rating.ratedAt'), average: { $avg: '$rating.score' }, count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ]),
+        Product.aggregate([
+            { $match: { seller: artist._id } },
+            {
+                $facet: {
+                    totals: [
+                        {
+                            $group: {
+                                _id: null,
+                                products: { $sum: 1 },
+                                views: { $sum: '$views' }
+                            }
+                        }
+                    ],
+                    top: [
+                        { $sort: { views: -1, createdAt: -1 } },
+                        { $limit: TOP_PRODUCTS },
+                        { $project: { title: 1, status: 1, price: 1, views: 1 } }
+                    ]
+                }
+            }
+        ])
+    ]);
+
+    // Every month in the range, with nothing earned where no bookings were completed
+    const revenue = new Map(sessionStats.revenue.map(row => [`${row._id.month} ${row._id.currency}`, row]));
+    const currencies = [...new Set([currency, ...sessionStats.revenue.map(row => row._id.currency)])];
+    const revenueByMonth = monthsBetween(from, to, timezone).flatMap(month => currencies
+        .filter(rowCurrency => rowCurrency === currency || revenue.has(`${month} ${rowCurrency}`))
+        .map(rowCurrency => {
+            const row = revenue.get(`${month} ${rowCurrency}`);
+            return { month, currency: rowCurrency, revenue: row ? row.revenue : 0, sessions: row ? row.sessions : 0 };
+        }));
+
+    const byTypeAndStatus = sessionStats.byTypeAndStatus.map(row => ({
+        sessionType: row._id.sessionType,
+        status: row._id.status,
+        count: row.count
+    }));
+    const countBy = field => byTypeAndStatus.reduce((counts, row) => {
+        counts[row[field]] = (counts[row[field]] || 0) + row.count;
+        return counts;
+    }, {});
+    const sessionTotals = sessionStats.totals[0] || { bookings: 0, cancelled: 0 };
+    const productTotals = productStats.totals[0] || { products: 0, views: 0 };
+
+    return {
+        range: { from, to, timezone },
+        revenueByMonth,
+        bookings: {
+            total: sessionTotals.bookings,
+            cancelled: sessionTotals.cancelled,
+            cancellationRate: ratio(sessionTotals.cancelled, sessionTotals.bookings),
+            byType: countBy('sessionType'),
+            byStatus: countBy('status'),
+            byTypeAndStatus
+        },
+        products: {
+            total: productTotals.products,
+            views: productTotals.views,
+            // Views versus sales can't be reported until orders are recorded; null, not 0,
+            // so nobody reads it as "nothing sold"
+            sales: null,
+            conversionRate: null,
+            top: productStats.top
+        },
+        ratings: {
+            average: artist.ratings ? artist.ratings.average : 0,
+            count: artist.ratings ? artist.ratings.count : 0,
+            trend: ratingTrend.map(row => ({
+                month: row._id,
+                average: Math.round(row.average * 100) / 100,
+                count: row.count
+            }))
+        }
+    };
+};
+
+module.exports = {
+    buildArtistAnalytics
+};
@@ -0,0 +1,57 @@
+const AuditEvent = require('../models/AuditEvent');
+
+const comparable = (value) => JSON.stringify(value === undefined ? null : value);
+
+const getPath = (object, path) => {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
+// Before/after pairs for the listed fields (dot paths allowed) that differ
+const diffFields = (before, after, fields) => {
+    const plainBefore = before && before.toObject ? before.toObject() : before;
+    const plainAfter = after && after.toObject ? after.toObject() : after;
+
+    return fields
+        .map(field => ({
+            field,
+            before: getPath(plainBefore, field),
+            after: getPath(plainAfter, field)
+        }))
+        .filter(change => comparable(change.before) !== comparable(change.after));
+};
+
+// Write an audit event for the current request. The actor defaults to the
+// logged-in user, or to the staff member when they are viewing as another user,
+// and actions that checkOwnership let through on a staff permission are flagged
+// as admin overrides. Background jobs pass a null `req`.
+// Failures are logged, never thrown, so auditing can't break the action itself.
+const recordAudit = async (req, { action, actor, targetType, targetId, changes, metadata, adminOverride }) => {
+    req = req || { get: () => undefined };
+    const user = actor !== undefined ? actor : req.impersonator || req.user;
+    if (req.impersonator) {
+        metadata = { ...metadata, impersonating: req.user._id };
+    }
+
+    try {
+        await AuditEvent.create({
+            action,
+            actor: user ? user._id : undefined,
+            actorRole: user ? user.role : undefined,
+            apiKey: req.apiKey ? req.apiKey._id : undefined,
+            targetType,
+            targetId,
+            adminOverride: adminOverride !== undefined ? adminOverride : req.isResourceOwner === false,
+            changes,
+            metadata,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+    } catch (error) {
+        console.error(`Audit log error (${action}):`, error);
+    }
+};
+
+module.exports = {
+    diffFields,
+    recordAudit
+};
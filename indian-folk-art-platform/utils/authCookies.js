@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { refreshTokenLifetime } = require('./authTokens');
+
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const baseCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.COOKIE_SECURE
+        ? process.env.COOKIE_SECURE === 'true'
+        : process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+});
+
+// Clients opt in to cookie auth per request with `X-Auth-Mode: cookie`
+const wantsCookieAuth = (req) => req.get('x-auth-mode') === 'cookie';
+
+// Put the token pair in HttpOnly cookies, plus a readable CSRF token for the
+// double-submit check in middleware/csrf.js
+const setAuthCookies = (res, { token, refreshToken }) => {
+    const options = baseCookieOptions();
+    const { exp } = jwt.decode(token);
+
+    res.cookie('token', token, {
+        ...options,
+        path: '/',
+        maxAge: exp * 1000 - Date.now()
+    });
+
+    res.cookie('refreshToken', refreshToken, {
+        ...options,
+        path: REFRESH_COOKIE_PATH,
+        maxAge: refreshTokenLifetime()
+    });
+
+    res.cookie('csrfToken', crypto.randomBytes(32).toString('hex'), {
+        ...options,
+        httpOnly: false,
+        path: '/',
+        maxAge: refreshTokenLifetime()
+    });
+};
+
+const clearAuthCookies = (res) => {
+    const options = baseCookieOptions();
+
+    res.clearCookie('token', { ...options, path: '/' });
+    res.clearCookie('refreshToken', { ...options, path: REFRESH_COOKIE_PATH });
+    res.clearCookie('csrfToken', { ...options, httpOnly: false, path: '/' });
+};
+
+// Hand a token pair to the client: as cookies in cookie mode (keeping the
+// tokens out of the response body), otherwise as body fields
+const deliverTokens = (req, res, tokens) => {
+    if (wantsCookieAuth(req)) {
+        setAuthCookies(res, tokens);
+        return { authMode: 'cookie' };
+    }
+
+    return {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken
+    };
+};
+
+module.exports = {
+    wantsCookieAuth,
+    setAuthCookies,
+    clearAuthCookies,
+    deliverTokens
+};
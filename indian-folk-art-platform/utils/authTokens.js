@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const refreshTokenLifetime = () => {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+    return days * 24 * 60 * 60 * 1000;
+};
+
+// Short-lived access token tied to a refresh token family through `sid`
+const signAccessToken = (userId, family) => {
+    return jwt.sign({ id: userId, sid: family }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+    });
+};
+
+const createRefreshToken = async (userId, req, family, familyCreatedAt) => {
+    const token = crypto.randomBytes(40).toString('hex');
+
+    const doc = await RefreshToken.create({
+        user: userId,
+        tokenHash: RefreshToken.hashToken(token),
+        family,
+        familyCreatedAt,
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + refreshTokenLifetime())
+    });
+
+    return { token, doc };
+};
+
+// Start a new device session and return its access/refresh token pair
+const issueTokens = async (user, req) => {
+    const family = crypto.randomUUID();
+    const { token: refreshToken } = await createRefreshToken(user._id, req, family, new Date());
+
+    return {
+        token: signAccessToken(user._id, family),
+        refreshToken
+    };
+};
+
+const revokeFamily = (family, reason) => {
+    return RefreshToken.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+const revokeAllForUser = (userId, reason) => {
+    return RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was already
+// rotated means it leaked, so the whole family is revoked.
+// Resolves to null when the token can't be used.
+const rotateRefreshToken = async (refreshToken, req) => {
+    const existing = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(refreshToken) });
+
+    if (!existing) {
+        return null;
+    }
+
+    if (existing.revokedAt) {
+        if (existing.revokedReason === 'rotated') {
+            await revokeFamily(existing.family, 'reuse_detected');
+        }
+        return null;
+    }
+
+    if (existing.expiresAt <= new Date()) {
+        return null;
+    }
+
+    // Claim the token atomically so two concurrent refreshes can't both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: existing._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'rotated', lastUsedAt: new Date() },
+        { new: true }
+    );
+
+    if (!claimed) {
+        await revokeFamily(existing.family, 'reuse_detected');
+        return null;
+    }
+
+    const { token, doc } = await createRefreshToken(existing.user, req, existing.family, existing.familyCreatedAt);
+    doc.lastUsedAt = new Date();
+    await doc.save();
+
+    claimed.replacedBy = doc._id;
+    await claimed.save();
+
+    return {
+        userId: existing.user,
+        token: signAccessToken(existing.user, existing.family),
+        refreshToken: token
+    };
+};
+
+// A family is live while it still has an unrevoked, unexpired token
+const isFamilyActive = async (family) => {
+    const active = await RefreshToken.exists({
+        family,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    return !!active;
+};
+
+module.exports = {
+    refreshTokenLifetime,
+    signAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeFamily,
+    revokeAllForUser,
+    isFamilyActive
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const BookingLock = require('../models/BookingLock');
+
+// Slots start every SLOT_STEP_MINUTES from the start of each schedule window
+const SLOT_STEP_MINUTES = 30;
+
+// Session lengths that can be booked, in minutes
+const MIN_SESSION_MINUTES = 15;
+const MAX_SESSION_MINUTES = 12 * 60;
+
+// How long a booking lock lasts if never released, and how long to wait for one
+const LOCK_SECONDS = 30;
+const LOCK_ATTEMPTS = 10;
+const LOCK_RETRY_MS = 200;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// "HH:MM" (or "24:00") as minutes after midnight
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Wall-clock date and time of `date` in `timeZone`
+const zonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const values = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    return { ...values, month: values.month - 1 };
+};
+
+// How far `timeZone` is ahead of UTC at `date`, in ms
+const zoneOffset = (date, timeZone) => {
+    const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+    return Date.UTC(year, month, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant when the clock in `timeZone` shows `minutes` past midnight on the
+// given calendar day. The offset is checked twice so DST changes land correctly.
+const zonedTime = ({ year, month, day }, minutes, timeZone) => {
+    const wallClock = Date.UTC(year, month, day) + minutes * MINUTE;
+    const offset = zoneOffset(new Date(wallClock), timeZone);
+    const adjusted = zoneOffset(new Date(wallClock - offset), timeZone);
+    return new Date(wallClock - adjusted);
+};
+
+const dateKey = ({ year, month, day }) =>
+    `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Calendar days in `timeZone` from the day `from` falls on to the day `to` falls on
+const calendarDays = (from, to, timeZone) => {
+    const first = zonedParts(from, timeZone);
+    const last = dateKey(zonedParts(to, timeZone));
+    const days = [];
+
+    for (let offset = 0; ; offset++) {
+        const date = new Date(Date.UTC(first.year, first.month, first.day + offset));
+        const day = { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+        days.push({ ...day, key: dateKey(day), weekday: WEEKDAYS[date.getUTCDay()] });
+        if (dateKey(day) >= last) {
+            return days;
+        }
+    }
+};
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Bookable start times for a session of `duration` minutes with `artist`,
+// starting at or after `from` and before `to`. The weekly schedule is read in the
+// artist's timezone; blackout dates, past times and existing bookings (plus the
+// artist's buffer either side of them) are left out, except `excludeSession`.
+const findSlots = async (artist, { from, to, duration, excludeSession }) => {
+    const availability = artist.availability || {};
+    const timeZone = availability.timezone || 'Asia/Kolkata';
+    const buffer = (availability.bufferMinutes || 0) * MINUTE;
+    const blackouts = new Set((availability.blackoutDates || []).map(blackout => blackout.date));
+    const earliest = Math.max(from.getTime(), Date.now());
+
+    // Sessions can run up to a day, so look back that far for ones still going at `from`
+    const sessions = await Session.find({
+        artist: artist._id,
+        status: { $in: Session.BOOKED_STATUSES },
+        ...(excludeSession && { _id: { $ne: excludeSession } }),
+        scheduledDate: { $gt: new Date(from.getTime() - DAY - buffer), $lt: new Date(to.getTime() + duration * MINUTE + buffer) }
+    }).select('scheduledDate duration');
+    const busy = sessions.map(session => ({
+        start: session.scheduledDate.getTime() - buffer,
+        end: session.scheduledDate.getTime() + session.duration * MINUTE + buffer
+    }));
+
+    const slots = [];
+    for (const day of calendarDays(from, to, timeZone)) {
+        if (blackouts.has(day.key)) {
+            continue;
+        }
+
+        const windows = (availability.schedule || [])
+            .filter(entry => entry.day === day.weekday)
+            .flatMap(entry => entry.slots || [])
+            .filter(window => window.isAvailable !== false && window.startTime && window.endTime);
+
+        for (const window of windows) {
+            const windowEnd = toMinutes(window.endTime);
+            for (let minutes = toMinutes(window.startTime); minutes + duration <= windowEnd; minutes += SLOT_STEP_MINUTES) {
+                const start = zonedTime(day, minutes, timeZone).getTime();
+                const end = start + duration * MINUTE;
+
+                if (start < earliest || start >= to.getTime() ||
+                    busy.some(session => start < session.end && end > session.start)) {
+                    continue;
+                }
+                slots.push({
+                    start: new Date(start),
+                    end: new Date(end),
+                    date: day.key,
+                    localTime: `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+                });
+            }
+        }
+    }
+
+    // Overlapping schedule windows can offer the same start twice
+    const unique = new Map(slots.map(slot => [slot.start.getTime(), slot]));
+    return [...unique.values()].sort((a, b) => a.start - b.start);
+};
+
+// Whether a session of `duration` minutes starting at `start` fits one of the
+// artist's slots, leaving `excludeSession` (one being reactivated) out of the way
+const isBookable = async (artist, start, duration, excludeSession) => {
+    const slots = await findSlots(artist, { from: start, to: new Date(start.getTime() + 1), duration, excludeSession });
+    return slots.some(slot => slot.start.getTime() === start.getTime());
+};
+
+// Take the artist's booking lock, waiting briefly if another booking holds it.
+// Check isBookable() and save the session while holding it. Resolves to a
+// function that releases the lock, or null if it stayed busy.
+const acquireBookingLock = async (artistId) => {
+    const token = crypto.randomBytes(16).toString('hex');
+
+    for (let attempt = 0; attempt < LOCK_ATTEMPTS; attempt++) {
+        const now = new Date();
+        try {
+            // Matches no live lock, so this inserts one or takes over an expired one;
+            // with a live lock in place the insert hits the unique index
+            await BookingLock.findOneAndUpdate(
+                { artist: artistId, expiresAt: { $lte: now } },
+                { $set: { token, expiresAt: new Date(now.getTime() + LOCK_SECONDS * 1000) } },
+                { upsert: true }
+            );
+            return () => BookingLock.deleteOne({ artist: artistId, token });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    SLOT_STEP_MINUTES,
+    MIN_SESSION_MINUTES,
+    MAX_SESSION_MINUTES,
+    isValidTimeZone,
+    findSlots,
+    isBookable,
+    acquireBookingLock
+};
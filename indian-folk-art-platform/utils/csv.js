@@ -0,0 +1,35 @@
+// Minimal RFC 4180 CSV writer
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : value;
+    if (typeof text === 'object') {
+        text = JSON.stringify(text);
+    }
+    text = String(text);
+
+    // Keep spreadsheet apps from running cell contents as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is a list of { header, value: row => cell }
+const toCsvRow = (row, columns) => columns.map(column => escapeCell(column.value(row))).join(',');
+
+const csvHeader = (columns) => columns.map(column => escapeCell(column.header)).join(',');
+
+const toCsv = (rows, columns) => {
+    return [csvHeader(columns), ...rows.map(row => toCsvRow(row, columns))].join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    toCsv,
+    toCsvRow,
+    csvHeader
+};
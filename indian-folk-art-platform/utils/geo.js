@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Used to turn a radius into the radians $centerSphere expects
+const EARTH_RADIUS_KM = 6378.1;
+
+// GeoJSON point, [longitude, latitude], stored next to the latitude/longitude
+// fields the API reads and writes so MongoDB can index and search it
+const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        required: true
+    },
+    coordinates: {
+        type: [Number],
+        required: true
+    }
+}, { _id: false });
+
+// Numbers, or numeric strings as a JSON or form body may send them
+const inRange = (value, limit) => ['number', 'string'].includes(typeof value) && value !== '' &&
+    Number.isFinite(Number(value)) && Math.abs(value) <= limit;
+
+// The point for { latitude, longitude }, or undefined unless both are valid
+const toPoint = (coordinates) => {
+    const { latitude, longitude } = coordinates || {};
+    if (!inRange(latitude, 90) || !inRange(longitude, 180)) {
+        return undefined;
+    }
+    return { type: 'Point', coordinates: [Number(longitude), Number(latitude)] };
+};
+
+// "lat,lng" as { latitude, longitude }, or null when it isn't a valid position
+const parseLatLng = (value) => {
+    const parts = String(value || '').split(',');
+    if (parts.length !== 2 || parts.some(part => part.trim() === '')) {
+        return null;
+    }
+    const [latitude, longitude] = parts.map(Number);
+    return toPoint({ latitude, longitude }) ? { latitude, longitude } : null;
+};
+
+// Query condition for points within `radiusKm` of `point`; unlike $near it works in counts
+const withinRadius = (point, radiusKm) => ({
+    $geoWithin: { $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM] }
+});
+
+// Keep `location.point` in step with `location.coordinates` on saves and on
+// findOneAndUpdate calls that set the location or its coordinates, and index it
+const syncLocationPoint = (schema) => {
+    schema.pre('save', function(next) {
+        this.set('location.point', toPoint(this.location && this.location.coordinates));
+        next();
+    });
+
+    schema.pre('findOneAndUpdate', function(next) {
+        const update = this.getUpdate() || {};
+        const set = update.$set || {};
+        const location = update.location || set.location;
+
+        if (location) {
+            // The whole location is replaced, so the point goes inside it
+            const point = toPoint(location.coordinates);
+            if (point) {
+                location.point = point;
+            } else {
+                delete location.point;
+            }
+        } else if (update['location.coordinates'] !== undefined || set['location.coordinates'] !== undefined) {
+            const point = toPoint(update['location.coordinates'] || set['location.coordinates']);
+            if (point) {
+                this.set('location.point', point);
+            } else {
+                update.$unset = { ...update.$unset, 'location.point': 1 };
+            }
+        }
+        next();
+    });
+
+    schema.index({ 'location.point': '2dsphere' });
+};
+
+module.exports = {
+    pointSchema,
+    toPoint,
+    parseLatLng,
+    withinRadius,
+    syncLocationPoint
+};
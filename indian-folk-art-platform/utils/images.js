@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Never served statically; routes send these files only to people allowed to see them
+const PRIVATE_UPLOAD_DIR = process.env.PRIVATE_UPLOAD_DIR || path.join(__dirname, '..', 'private-uploads');
+
+// Folders under /uploads, one per kind of image
+const FOLDERS = ['profiles', 'products', 'portfolio'];
+
+// Folders for private images, such as identity documents
+const PRIVATE_FOLDERS = ['verification'];
+
+// Every upload is stored in these sizes; `large` is the URL the models keep
+const VARIANTS = {
+    thumb: 200,
+    medium: 600,
+    large: 1600
+};
+
+// Matches URLs this module created, and nothing that could escape the folder.
+// Private images get /private/ URLs, which only identify the file.
+const UPLOAD_URL = new RegExp(`^/uploads/(${FOLDERS.join('|')})/([a-f0-9]{32})-(${Object.keys(VARIANTS).join('|')})\\.webp$`);
+const PRIVATE_URL = new RegExp(`^/private/(${PRIVATE_FOLDERS.join('|')})/([a-f0-9]{32})-(${Object.keys(VARIANTS).join('|')})\\.webp$`);
+
+const isPrivateFolder = (folder) => PRIVATE_FOLDERS.includes(folder);
+
+const variantUrl = (folder, id, variant) =>
+    `/${isPrivateFolder(folder) ? 'private' : 'uploads'}/${folder}/${id}-${variant}.webp`;
+
+const matchUrl = (url) => UPLOAD_URL.exec(url || '') || PRIVATE_URL.exec(url || '');
+
+// The thumb/medium/large URLs for an uploaded image URL, or null for external URLs
+const imageVariants = (url) => {
+    const match = matchUrl(url);
+    if (!match) {
+        return null;
+    }
+
+    const [, folder, id] = match;
+    return Object.keys(VARIANTS).reduce((urls, variant) => {
+        urls[variant] = variantUrl(folder, id, variant);
+        return urls;
+    }, {});
+};
+
+// Resize and re-encode an uploaded image. Re-encoding drops all metadata,
+// including EXIF and GPS, after the EXIF orientation has been applied.
+const saveImage = async (buffer, folder) => {
+    if (!FOLDERS.includes(folder) && !isPrivateFolder(folder)) {
+        throw new Error(`Unknown upload folder: ${folder}`);
+    }
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const dir = path.join(isPrivateFolder(folder) ? PRIVATE_UPLOAD_DIR : UPLOAD_DIR, folder);
+    await fsp.mkdir(dir, { recursive: true });
+
+    const variants = {};
+    for (const [variant, size] of Object.entries(VARIANTS)) {
+        await sharp(buffer)
+            .rotate()
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 82 })
+            .toFile(path.join(dir, `${id}-${variant}.webp`));
+        variants[variant] = variantUrl(folder, id, variant);
+    }
+
+    return {
+        url: variants.large,
+        variants
+    };
+};
+
+// Where the file for an uploaded image URL is stored, or null for other URLs
+const imagePath = (url) => {
+    const match = matchUrl(url);
+    if (!match) {
+        return null;
+    }
+
+    const [, folder, id, variant] = match;
+    return path.join(isPrivateFolder(folder) ? PRIVATE_UPLOAD_DIR : UPLOAD_DIR, folder, `${id}-${variant}.webp`);
+};
+
+// Delete every size of an uploaded image. URLs that weren't uploaded here, or
+// (when `folder` is given) were uploaded to another folder, are ignored.
+const removeImage = async (url, folder) => {
+    const match = matchUrl(url);
+    if (!match || (folder && match[1] !== folder)) {
+        return;
+    }
+
+    await Promise.all(Object.values(imageVariants(url)).map(variant =>
+        fsp.rm(imagePath(variant), { force: true })
+    ));
+};
+
+// Remove the images in `before`, uploaded to `folder`, that are no longer in `after`
+const removeReplacedImages = async (before, after, folder) => {
+    const kept = new Set((after || []).filter(Boolean));
+    const removed = [...new Set((before || []).filter(url => url && !kept.has(url)))];
+
+    try {
+        await Promise.all(removed.map(url => removeImage(url, folder)));
+    } catch (error) {
+        console.error('Remove image error:', error);
+    }
+};
+
+// URLs in `urls` that point at files uploaded here but aren't among `own`, the
+// uploads already on the item being edited. Request bodies may only refer to those;
+// new images go through the upload routes. Otherwise anyone could claim another
+// user's file and have it deleted when they replaced it.
+const foreignUploads = (urls, own = []) => {
+    const owned = new Set(own);
+    return urls.filter(url => matchUrl(url) && !owned.has(url));
+};
+
+module.exports = {
+    imageVariants,
+    foreignUploads,
+    imagePath,
+    saveImage,
+    removeImage,
+    removeReplacedImages
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginEvent = require('../models/LoginEvent');
+const { sendEmail, escapeHtml } = require('./sendEmail');
+const { sendSms } = require('./sms');
+const { recordAudit } = require('./audit');
+
+// Failures allowed before each further attempt has to wait, doubling every time
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+const maxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const lockMinutes = () => parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+const deviceHashFor = (req) => {
+    return crypto.createHash('sha256').update(req.get('user-agent') || 'unknown').digest('hex');
+};
+
+const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase();
+
+// The identifier an account's attempts are counted under: its email, or its
+// phone number for accounts that sign in with one-time codes
+const loginIdentifier = (user) => user.email || user.phone;
+
+// Why an attempt can't go ahead against this counter right now, or null if it can
+const blockedBy = (attempt, now) => {
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+        return {
+            allowed: false,
+            locked: true,
+            retryAfter: Math.ceil((attempt.lockedUntil.getTime() - now) / 1000)
+        };
+    }
+
+    if (attempt.failedCount >= FREE_ATTEMPTS && attempt.lastFailedAt) {
+        const delaySeconds = Math.min(2 ** (attempt.failedCount - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+        const waitUntil = attempt.lastFailedAt.getTime() + delaySeconds * 1000;
+        if (waitUntil > now) {
+            return {
+                allowed: false,
+                locked: false,
+                retryAfter: Math.ceil((waitUntil - now) / 1000)
+            };
+        }
+    }
+
+    return null;
+};
+
+// Whether another attempt is allowed right now for this account.
+// Resolves to { allowed: true } or { allowed: false, locked, retryAfter (seconds) }.
+//
+// An allowed attempt is counted as a failure straight away, by one update that
+// only applies if the counter is still the one that was checked, so parallel
+// guesses can't all pass the same check. The attempt that reaches the limit
+// locks the account in that same update. A successful login clears the counter.
+const checkLoginAllowed = async (identifier) => {
+    const key = normalizeIdentifier(identifier);
+    const now = new Date();
+
+    const attempt = await LoginAttempt.findOne({ identifier: key });
+    const blocked = attempt && blockedBy(attempt, now.getTime());
+    if (blocked) {
+        return blocked;
+    }
+
+    const failedCount = attempt ? attempt.failedCount : 0;
+    const locks = failedCount + 1 >= maxAttempts();
+
+    try {
+        await LoginAttempt.findOneAndUpdate(
+            { identifier: key, failedCount },
+            {
+                $set: {
+                    // The counter starts again once the lock is in place
+                    failedCount: locks ? 0 : failedCount + 1,
+                    lastFailedAt: now,
+                    expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000),
+                    ...(locks && { lockedUntil: new Date(now.getTime() + lockMinutes() * 60 * 1000) })
+                }
+            },
+            { upsert: true }
+        );
+        return { allowed: true };
+    } catch (error) {
+        // Another attempt changed the counter first (the upsert hit the unique identifier)
+        if (error.code === 11000) {
+            return { allowed: false, locked: false, retryAfter: 1 };
+        }
+        throw error;
+    }
+};
+
+// Send the standard 429 for a blocked attempt
+const sendLoginBlocked = (res, { locked, retryAfter }) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        code: locked ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+        message: locked
+            ? `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes`
+            : `Please wait ${retryAfter} seconds before trying again`,
+        retryAfter
+    });
+};
+
+// Record a failed attempt; checkLoginAllowed() has already counted it, and locked
+// the account if it was the last one allowed.
+// `user` is optional so unknown emails are throttled the same way as real ones.
+const recordFailedLogin = async (identifier, req, { user, reason }) => {
+    const attempt = await LoginAttempt.findOne({ identifier: normalizeIdentifier(identifier) });
+    const locked = !!(attempt && attempt.lockedUntil && attempt.lockedUntil.getTime() > Date.now());
+
+    await recordAudit(req, {
+        action: locked ? 'auth.account_locked' : 'auth.login_failed',
+        actor: user || null,
+        targetType: user ? 'User' : undefined,
+        targetId: user ? user._id : undefined,
+        metadata: { identifier: normalizeIdentifier(identifier), reason }
+    });
+
+    if (user) {
+        await LoginEvent.create({
+            user: user._id,
+            success: false,
+            reason,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            deviceHash: deviceHashFor(req)
+        });
+    }
+};
+
+const sendNewDeviceAlert = async (user, req) => {
+    const when = new Date().toUTCString();
+    const device = req.get('user-agent') || 'Unknown device';
+
+    if (!user.email) {
+        await sendSms(user.phone, `Kala Sanskriti: new sign-in to your account at ${when}. ` +
+            `If this wasn't you, sign out all devices from your account settings.`);
+        return;
+    }
+
+    await sendEmail({
+        to: user.email,
+        subject: 'New sign-in to your Kala Sanskriti account',
+        text: `Namaste ${user.name},\n\n` +
+            `Your account was just signed in to from a device we haven't seen before.\n\n` +
+            `Time: ${when}\nIP address: ${req.ip}\nDevice: ${device}\n\n` +
+            `If this was you, there's nothing to do. If not, reset your password right away ` +
+            `and sign out all devices from your account settings.`,
+        html: `<p>Namaste ${escapeHtml(user.name)},</p>` +
+            `<p>Your account was just signed in to from a device we haven't seen before.</p>` +
+            `<ul><li>Time: ${escapeHtml(when)}</li><li>IP address: ${escapeHtml(req.ip)}</li>` +
+            `<li>Device: ${escapeHtml(device)}</li></ul>` +
+            `<p>If this was you, there's nothing to do. If not, reset your password right away ` +
+            `and sign out all devices from your account settings.</p>`
+    });
+};
+
+// Clear the failure counter and add a history entry. The first login from an
+// unfamiliar device (on an account that has logged in before) triggers an
+// email, or an SMS for phone-only accounts.
+const recordSuccessfulLogin = async (user, req) => {
+    await LoginAttempt.deleteOne({ identifier: normalizeIdentifier(loginIdentifier(user)) });
+
+    const deviceHash = deviceHashFor(req);
+    const [knownDevice, hasHistory] = await Promise.all([
+        LoginEvent.exists({ user: user._id, success: true, deviceHash }),
+        LoginEvent.exists({ user: user._id, success: true })
+    ]);
+    const newDevice = !knownDevice && !!hasHistory;
+
+    await recordAudit(req, {
+        action: 'auth.login',
+        actor: user,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { newDevice }
+    });
+
+    await LoginEvent.create({
+        user: user._id,
+        success: true,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        deviceHash,
+        newDevice
+    });
+
+    if (newDevice) {
+        // Don't fail the login because the alert couldn't be sent
+        sendNewDeviceAlert(user, req).catch(error => {
+            console.error('New device alert error:', error);
+        });
+    }
+};
+
+const clearFailedLogins = (identifier) => {
+    return LoginAttempt.deleteOne({ identifier: normalizeIdentifier(identifier) });
+};
+
+module.exports = {
+    loginIdentifier,
+    checkLoginAllowed,
+    sendLoginBlocked,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    clearFailedLogins
+};
@@ -0,0 +1,62 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } = require('../config/notifications');
+const { sendEmail, escapeHtml } = require('./sendEmail');
+
+// The user's channel settings for a type: their saved choice, else the default
+const channelsFor = (user, type) => {
+    const saved = user.notificationPreferences && user.notificationPreferences.get(type);
+    const defaults = NOTIFICATION_TYPES[type].defaults;
+
+    return NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+        channels[channel] = saved && typeof saved[channel] === 'boolean' ? saved[channel] : defaults[channel];
+        return channels;
+    }, {});
+};
+
+// Notify a user (id or populated document) on the channels they have on for `type`.
+// Emails list `details` under the message, and link `unsubscribeUrl` when given.
+// Failures are logged, never thrown, so a notification can't break the action itself.
+const notify = async (recipient, type, { title, message, data, details = [], unsubscribeUrl }) => {
+    try {
+        const user = recipient && await User.findById(recipient._id || recipient);
+        if (!user || ['pending_deletion', 'deleted'].includes(user.status)) {
+            return;
+        }
+
+        const channels = channelsFor(user, type);
+
+        if (channels.inApp) {
+            await Notification.create({ user: user._id, type, title, message, data });
+        }
+
+        if (channels.email && user.email) {
+            const unsubscribeText = unsubscribeUrl ? `Stop these emails: ${unsubscribeUrl}\n` : '';
+            const unsubscribeHtml = unsubscribeUrl
+                ? `<a href="${escapeHtml(unsubscribeUrl)}">Stop these emails</a>. `
+                : '';
+
+            await sendEmail({
+                to: user.email,
+                subject: title,
+                text: `Namaste ${user.name},\n\n${message}\n\n` +
+                    details.map(line => `- ${line}\n`).join('') + (details.length ? '\n' : '') +
+                    unsubscribeText +
+                    'You can change which emails you get in your notification settings.',
+                html: `<p>Namaste ${escapeHtml(user.name)},</p><p>${escapeHtml(message)}</p>` +
+                    (details.length ? `<ul>${details.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : '') +
+                    `<p><small>${unsubscribeHtml}You can change which emails you get in your notification settings.</small></p>`,
+                headers: unsubscribeUrl
+                    ? { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+                    : undefined
+            });
+        }
+    } catch (error) {
+        console.error(`Notification error (${type}):`, error);
+    }
+};
+
+module.exports = {
+    channelsFor,
+    notify
+};
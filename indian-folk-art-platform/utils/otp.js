@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+
+const CODE_DIGITS = 6;
+
+const expireMinutes = () => parseInt(process.env.OTP_EXPIRE_MINUTES, 10) || 10;
+const maxAttempts = () => parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const resendCooldown = () => parseInt(process.env.OTP_RESEND_COOLDOWN, 10) || 60;
+const maxPerHour = () => parseInt(process.env.OTP_MAX_PER_HOUR, 10) || 5;
+const maxPerIpPerHour = () => parseInt(process.env.OTP_MAX_PER_IP_PER_HOUR, 10) || 10;
+
+// Keyed hash: six digits are trivial to brute force from a plain SHA-256
+const hashCode = (phone, code) => {
+    return crypto
+        .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+        .update(`${phone}:${code}`)
+        .digest('hex');
+};
+
+// Whether another code may be sent to this number, at the request of this IP
+// address, now. The per-IP limit stops one client from sending codes to many
+// numbers (each SMS costs money). Resolves to { allowed: true } or
+// { allowed: false, retryAfter (seconds) }.
+const checkOtpSendAllowed = async (phone, ip) => {
+    const now = Date.now();
+    const hourAgo = new Date(now - 60 * 60 * 1000);
+    const [recent, fromIp] = await Promise.all([
+        OtpCode.find({ phone, createdAt: { $gt: hourAgo } }).sort('-createdAt').select('createdAt'),
+        OtpCode.find({ ip, createdAt: { $gt: hourAgo } }).sort('createdAt').limit(maxPerIpPerHour()).select('createdAt')
+    ]);
+
+    if (fromIp.length >= maxPerIpPerHour()) {
+        return { allowed: false, retryAfter: Math.ceil((fromIp[0].createdAt.getTime() + 60 * 60 * 1000 - now) / 1000) };
+    }
+
+    if (recent.length) {
+        const sinceLast = (now - recent[0].createdAt.getTime()) / 1000;
+        if (sinceLast < resendCooldown()) {
+            return { allowed: false, retryAfter: Math.ceil(resendCooldown() - sinceLast) };
+        }
+    }
+
+    if (recent.length >= maxPerHour()) {
+        const oldest = recent[recent.length - 1].createdAt.getTime();
+        return { allowed: false, retryAfter: Math.ceil((oldest + 60 * 60 * 1000 - now) / 1000) };
+    }
+
+    return { allowed: true };
+};
+
+// Create a code for the number, replacing any earlier one.
+// Resolves to the raw code (to send) and the stored document.
+const createOtp = async (phone, req) => {
+    const code = crypto.randomInt(0, 10 ** CODE_DIGITS).toString().padStart(CODE_DIGITS, '0');
+
+    await OtpCode.updateMany(
+        { phone, consumedAt: null },
+        { consumedAt: Date.now() }
+    );
+
+    const otp = await OtpCode.create({
+        phone,
+        codeHash: hashCode(phone, code),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + expireMinutes() * 60 * 1000)
+    });
+
+    return { code, otp };
+};
+
+// Check a code against the latest unused one for the number. Each guess uses up
+// one of the code's attempts before the comparison, in a single conditional
+// update, so parallel guesses can't get past OTP_MAX_ATTEMPTS. The matching code
+// is returned but not consumed, so the caller can decide whether the sign-in goes ahead.
+const verifyOtp = async (phone, code) => {
+    const latest = await OtpCode.findOne({
+        phone,
+        consumedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort('-createdAt').select('_id');
+
+    const otp = latest && await OtpCode.findOneAndUpdate(
+        { _id: latest._id, attempts: { $lt: maxAttempts() } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!otp) {
+        return { valid: false };
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(phone, String(code || '').trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, attemptsRemaining: Math.max(maxAttempts() - otp.attempts, 0) };
+    }
+
+    return { valid: true, otp };
+};
+
+const consumeOtp = (otp) => {
+    otp.consumedAt = Date.now();
+    return otp.save();
+};
+
+module.exports = {
+    expireMinutes,
+    checkOtpSendAllowed,
+    createOtp,
+    verifyOtp,
+    consumeOtp
+};
@@ -0,0 +1,28 @@
+// Normalize a phone number to E.164 (e.g. +919876543210).
+// Numbers without a country code are assumed to be Indian (+91) unless
+// DEFAULT_PHONE_COUNTRY_CODE says otherwise. Returns null if it can't be a phone number.
+const normalizePhone = (input) => {
+    if (!input) {
+        return null;
+    }
+
+    const raw = String(input).trim();
+    const hasPlus = raw.startsWith('+');
+    let digits = raw.replace(/[^\d]/g, '');
+
+    if (!hasPlus) {
+        // Drop a trunk prefix such as 0 in 098765 43210
+        digits = digits.replace(/^0+/, '');
+        if (digits.length <= 10) {
+            digits = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '91') + digits;
+        }
+    }
+
+    if (digits.length < 8 || digits.length > 15) {
+        return null;
+    }
+
+    return `+${digits}`;
+};
+
+module.exports = { normalizePhone };
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Artist = require('../models/Artist');
+const Session = require('../models/Session');
+const { hasPermission } = require('../middleware/auth');
+const { PRIVACY_FIELDS } = require('../config/privacy');
+
+// Bookings that count for "after booking": the artist has accepted them
+const BOOKED_STATUSES = ['confirmed', 'completed'];
+
+// Paths hidden for each setting, on a user and on their artist profile
+const USER_PATHS = {
+    email: ['email'],
+    phone: ['phone'],
+    location: ['location.city', 'location.region']
+};
+const ARTIST_PATHS = {
+    location: ['location.city', 'location.region'],
+    coordinates: ['location.coordinates', 'location.point']
+};
+
+const isPopulated = (ref) => !!ref && typeof ref === 'object' && !(ref instanceof mongoose.Types.ObjectId);
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const hide = (doc, path) => {
+    if (doc instanceof mongoose.Document) {
+        doc.set(path, undefined);
+        return;
+    }
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => obj && obj[key], doc);
+    if (parent) {
+        delete parent[last];
+    }
+};
+
+// Unlisted portfolio items are only shown to the artist and through their direct link
+const hideUnlistedPortfolio = (artist) => {
+    if (!Array.isArray(artist.portfolio) || !artist.portfolio.some(item => item.visibility === 'unlisted')) {
+        return;
+    }
+    const listed = artist.portfolio.filter(item => item.visibility !== 'unlisted');
+    if (artist instanceof mongoose.Document) {
+        artist.set('portfolio', listed);
+    } else {
+        artist.portfolio = listed;
+    }
+};
+
+// Ids of the users (among `userIds`) who have an accepted booking with the viewer,
+// in either direction
+const bookedWith = async (viewer, userIds) => {
+    const [artists, viewerArtist] = await Promise.all([
+        Artist.find({ user: { $in: userIds } }).select('user'),
+        Artist.findOne({ user: viewer._id }).select('_id')
+    ]);
+
+    const conditions = [];
+    if (artists.length) {
+        conditions.push({ user: viewer._id, artist: { $in: artists.map(artist => artist._id) } });
+    }
+    if (viewerArtist) {
+        conditions.push({ artist: viewerArtist._id, user: { $in: userIds } });
+    }
+    if (!conditions.length) {
+        return new Set();
+    }
+
+    const sessions = await Session.find({ $or: conditions, status: { $in: BOOKED_STATUSES } }).select('user artist');
+    const userByArtist = new Map(artists.map(artist => [artist._id.toString(), artist.user.toString()]));
+
+    return new Set(sessions.map(session => (
+        session.user.toString() === viewer._id.toString()
+            ? userByArtist.get(session.artist.toString())
+            : session.user.toString()
+    )));
+};
+
+// Remove the personal fields the viewer may not see from populated users and
+// artist profiles (with or without their user populated), and unlisted portfolio
+// items from other artists' profiles, in place. Call it on documents about to be
+// sent, never on ones that will be saved.
+// API key requests are treated as anonymous; owners and staff with user:read:any see everything.
+const applyPrivacy = async (req, { users = [], artists = [] }) => {
+    const viewer = req.apiKey ? null : req.user;
+    const viewerId = viewer ? viewer._id.toString() : null;
+
+    const artistDocs = artists.filter(isPopulated);
+    artistDocs
+        .filter(artist => !artist.user || idOf(artist.user) !== viewerId)
+        .forEach(hideUnlistedPortfolio);
+    const userDocs = [...users, ...artistDocs.map(artist => artist.user)].filter(isPopulated);
+
+    const ownerIds = [...new Set([...userDocs, ...artistDocs.map(artist => artist.user)]
+        .filter(Boolean)
+        .map(idOf))]
+        .filter(id => id !== viewerId);
+    if (!ownerIds.length) {
+        return;
+    }
+    if (viewer && await hasPermission(viewer, 'user:read:any')) {
+        return;
+    }
+
+    const owners = await User.find({ _id: { $in: ownerIds } }).select('privacy');
+    const settings = new Map(owners.map(owner => [owner._id.toString(), owner.privacy || {}]));
+    const levelOf = (id, field) => (settings.get(id) || {})[field] || PRIVACY_FIELDS[field].default;
+
+    const needsBookings = viewer && ownerIds.some(id =>
+        Object.keys(PRIVACY_FIELDS).some(field => levelOf(id, field) === 'after_booking'));
+    const booked = needsBookings ? await bookedWith(viewer, ownerIds) : new Set();
+
+    const canSee = (id, field) => {
+        const level = levelOf(id, field);
+        return level === 'public' ||
+            (level === 'logged_in' && !!viewer) ||
+            (level === 'after_booking' && booked.has(id));
+    };
+
+    const redact = (doc, id, paths) => {
+        if (id === viewerId) {
+            return;
+        }
+        Object.entries(paths).forEach(([field, fieldPaths]) => {
+            if (!canSee(id, field)) {
+                fieldPaths.forEach(path => hide(doc, path));
+            }
+        });
+    };
+
+    userDocs.forEach(user => redact(user, idOf(user), USER_PATHS));
+    artistDocs
+        .filter(artist => artist.user)
+        .forEach(artist => redact(artist, idOf(artist.user), ARTIST_PATHS));
+};
+
+module.exports = {
+    applyPrivacy
+};
@@ -0,0 +1,83 @@
+// MongoDB queries for the product and artist searches. Shared by the list
+// routes, saved searches and the saved-search alert job so they always agree.
+
+// Query parameters each search understands (paging and sorting aside)
+const PRODUCT_FILTERS = ['category', 'artform', 'minPrice', 'maxPrice', 'search', 'featured'];
+const ARTIST_FILTERS = ['artform', 'category', 'state', 'city', 'minRating', 'maxPrice', 'search'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// GET /api/products filters
+const buildProductQuery = ({ category, artform, minPrice, maxPrice, search, featured } = {}) => {
+    const query = { status: 'active' };
+
+    if (category) {
+        query.category = category;
+    }
+
+    if (artform) {
+        query.artform = artform;
+    }
+
+    if (minPrice || maxPrice) {
+        query['price.amount'] = {};
+        if (minPrice) query['price.amount'].$gte = parseFloat(minPrice);
+        if (maxPrice) query['price.amount'].$lte = parseFloat(maxPrice);
+    }
+
+    if (featured === 'true') {
+        query.featured = true;
+    }
+
+    if (search) {
+        query.$text = { $search: search };
+    }
+
+    return query;
+};
+
+// GET /api/artists filters
+const buildArtistQuery = ({ artform, category, state, city, minRating, maxPrice, search } = {}) => {
+    const query = { isActive: true };
+
+    if (artform) {
+        query['specializations.artform'] = artform;
+    }
+
+    if (category) {
+        query['specializations.category'] = category;
+    }
+
+    if (state) {
+        query['location.state'] = new RegExp(escapeRegex(state), 'i');
+    }
+
+    if (city) {
+        query['location.city'] = new RegExp(escapeRegex(city), 'i');
+    }
+
+    if (minRating) {
+        query['ratings.average'] = { $gte: parseFloat(minRating) };
+    }
+
+    if (maxPrice) {
+        query['pricing.sessionRate'] = { $lte: parseFloat(maxPrice) };
+    }
+
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        query.$or = [
+            { bio: pattern },
+            { 'specializations.description': pattern }
+        ];
+    }
+
+    return query;
+};
+
+module.exports = {
+    PRODUCT_FILTERS,
+    ARTIST_FILTERS,
+    buildProductQuery,
+    buildArtistQuery
+};
@@ -0,0 +1,64 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Escape text for an HTML email body; names, titles and other user input
+// go into emails, and must not be able to add markup or links
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+})[char]);
+
+// Build the mail transport from the environment.
+// EMAIL_TRANSPORT=json renders messages to JSON instead of sending them, which is
+// handy for local development and tests; anything else uses SMTP.
+const createTransport = () => {
+    if (process.env.EMAIL_TRANSPORT === 'json') {
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    return nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+        secure: parseInt(process.env.EMAIL_PORT, 10) === 465,
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS
+        }
+    });
+};
+
+// Replace the transport (e.g. with a stub that records messages in tests)
+const setTransport = (transport) => {
+    transporter = transport;
+};
+
+// `headers` adds extra mail headers, such as List-Unsubscribe
+const sendEmail = async ({ to, subject, text, html, headers }) => {
+    if (!transporter) {
+        transporter = createTransport();
+    }
+
+    const fromName = process.env.EMAIL_FROM_NAME || 'Kala Sanskriti';
+    const fromAddress = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+
+    const info = await transporter.sendMail({
+        from: `${fromName} <${fromAddress}>`,
+        to,
+        subject,
+        text,
+        html,
+        headers
+    });
+
+    if (process.env.EMAIL_TRANSPORT === 'json' && process.env.NODE_ENV === 'development') {
+        console.log('Email (json transport):', info.message);
+    }
+
+    return info;
+};
+
+module.exports = { sendEmail, setTransport, escapeHtml };
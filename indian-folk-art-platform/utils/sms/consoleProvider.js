@@ -0,0 +1,8 @@
+// Development provider: prints messages to the server log
+module.exports = {
+    name: 'console',
+    async send({ to, message }) {
+        console.log(`SMS to ${to}: ${message}`);
+        return { provider: 'console', to };
+    }
+};
@@ -0,0 +1,16 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Test provider: appends each message as a JSON line to SMS_FILE_PATH
+// (default logs/sms.log) so tests can read the codes that were sent
+const filePath = () => process.env.SMS_FILE_PATH || path.join(__dirname, '..', '..', 'logs', 'sms.log');
+
+module.exports = {
+    name: 'file',
+    async send({ to, message }) {
+        const target = filePath();
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.appendFile(target, JSON.stringify({ to, message, sentAt: new Date().toISOString() }) + '\n');
+        return { provider: 'file', to };
+    }
+};
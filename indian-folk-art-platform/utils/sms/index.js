@@ -0,0 +1,56 @@
+const path = require('path');
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+
+// SMS delivery goes through a provider object with one method:
+//
+//   async send({ to, message })   // `to` is an E.164 number
+//
+// SMS_PROVIDER selects it: a built-in provider (console, file), or the path of a
+// module exporting a provider, such as a gateway integration (MSG91, Twilio, ...).
+// Relative paths are resolved from the project root. setSmsProvider() replaces it in tests.
+const builtInProviders = {
+    console: consoleProvider,
+    file: fileProvider
+};
+
+let provider = null;
+
+const loadProvider = (name) => {
+    if (builtInProviders[name]) {
+        return builtInProviders[name];
+    }
+
+    let loaded;
+    try {
+        loaded = require(name.startsWith('.') ? path.resolve(__dirname, '..', '..', name) : name);
+    } catch (error) {
+        throw new Error(`Unknown SMS_PROVIDER "${name}": ${error.message}`);
+    }
+    if (!loaded || typeof loaded.send !== 'function') {
+        throw new Error(`SMS_PROVIDER "${name}" does not export an async send({ to, message }) method`);
+    }
+    return loaded;
+};
+
+// The configured provider. Without SMS_PROVIDER, development falls back to the
+// console provider; production refuses, since that would write every sign-in code
+// to the server log.
+const getSmsProvider = () => {
+    if (!provider) {
+        const name = process.env.SMS_PROVIDER;
+        if (!name && process.env.NODE_ENV === 'production') {
+            throw new Error('SMS_PROVIDER must be set in production');
+        }
+        provider = loadProvider(name || 'console');
+    }
+    return provider;
+};
+
+const setSmsProvider = (custom) => {
+    provider = custom;
+};
+
+const sendSms = (to, message) => getSmsProvider().send({ to, message });
+
+module.exports = { sendSms, setSmsProvider, getSmsProvider };
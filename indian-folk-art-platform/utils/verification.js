@@ -0,0 +1,63 @@
+const Artist = require('../models/Artist');
+const VerificationRequest = require('../models/VerificationRequest');
+const { recordAudit } = require('./audit');
+const { notify } = require('./notifications');
+const { removeImage } = require('./images');
+
+// The verified badge vouches for who the artist is, what they practise and
+// where; changing any of these means verifying again
+const practiceKeys = (artist) =>
+    [...new Set((artist.specializations || []).map(s => `${s.artform}/${s.category}`))].sort();
+
+// Profile fields a verification covers that differ between two versions of an artist
+const changedVerifiedFields = (before, after) => {
+    const changed = [];
+    if (JSON.stringify(practiceKeys(before)) !== JSON.stringify(practiceKeys(after))) {
+        changed.push('specializations');
+    }
+    ['state', 'city'].forEach(field => {
+        if ((before.location || {})[field] !== (after.location || {})[field]) {
+            changed.push(`location.${field}`);
+        }
+    });
+    return changed;
+};
+
+// Take the badge away from a verified artist after `fields` changed
+const revokeVerification = async (req, artist, fields) => {
+    if (!artist || !artist.isVerified || !fields.length) {
+        return;
+    }
+
+    await Artist.updateOne({ _id: artist._id }, { $set: { isVerified: false }, $unset: { verifiedAt: 1 } });
+    artist.isVerified = false;
+    artist.verifiedAt = undefined;
+
+    await recordAudit(req, {
+        action: 'artist.verification_revoked',
+        targetType: 'Artist',
+        targetId: artist._id,
+        changes: [{ field: 'isVerified', before: true, after: false }],
+        metadata: { fields }
+    });
+
+    await notify(artist.user, 'verification_updated', {
+        title: 'Please verify your artist profile again',
+        message: `Your verified badge was removed because your profile changed (${fields.join(', ')}). ` +
+            'Submit a new verification request to get it back.',
+        data: { artist: artist._id, status: 'revoked', fields }
+    });
+};
+
+// Delete a user's verification requests and their document files
+const removeVerificationRequests = async (userId) => {
+    const requests = await VerificationRequest.find({ user: userId });
+    await Promise.all(requests.flatMap(request => request.documents.map(document => removeImage(document.url, 'verification'))));
+    await VerificationRequest.deleteMany({ user: userId });
+};
+
+module.exports = {
+    changedVerifiedFields,
+    revokeVerification,
+    removeVerificationRequests
+};